@@ -0,0 +1,96 @@
+/**
+ * 2048 App Updates
+ * Registers the service worker that keeps the game available offline, and
+ * reports when a newer version has been downloaded and is waiting. The new
+ * version only takes over when the player asks, so a game is never swapped
+ * out mid-move; the page then reloads and resumes the saved game.
+ */
+
+class AppUpdates {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onUpdate - Called when a new version is waiting
+   * @param {string} [options.url="service-worker.js"]
+   */
+  constructor({ onUpdate, url = "service-worker.js" }) {
+    this.onUpdate = onUpdate;
+    this.url = url;
+    this.registration = null;
+    this.applying = false;
+  }
+
+  /**
+   * Whether this page can use a service worker; files opened straight from
+   * disk can't
+   * @returns {boolean}
+   */
+  isSupported() {
+    if (!("serviceWorker" in navigator)) return false;
+    return window.location.protocol !== "file:";
+  }
+
+  /**
+   * Register the service worker and watch for new versions
+   * @returns {Promise<void>}
+   */
+  register() {
+    if (!this.isSupported()) return Promise.resolve();
+
+    // Reload once the new version has taken over, but not on the first install
+    navigator.serviceWorker.addEventListener("controllerchange", () => {
+      if (this.applying) window.location.reload();
+    });
+
+    return navigator.serviceWorker
+      .register(this.url)
+      .then((registration) => {
+        this.registration = registration;
+
+        // Downloaded during an earlier visit and still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+          this.onUpdate();
+        }
+        registration.addEventListener("updatefound", () => {
+          this.watch(registration.installing);
+        });
+
+        // A tab left open for days still hears about new versions
+        document.addEventListener("visibilitychange", () => {
+          if (document.visibilityState === "visible") {
+            registration.update().catch(() => {});
+          }
+        });
+      })
+      .catch((e) => {
+        console.warn("Unable to enable offline play:", e);
+      });
+  }
+
+  /**
+   * @param {ServiceWorker|null} worker - A version being installed
+   */
+  watch(worker) {
+    if (!worker) return;
+
+    worker.addEventListener("statechange", () => {
+      // With no controller this is the first install, not an update
+      if (worker.state === "installed" && navigator.serviceWorker.controller) {
+        this.onUpdate();
+      }
+    });
+  }
+
+  /**
+   * Switch to the waiting version; the page reloads when it takes over
+   */
+  apply() {
+    const waiting = this.registration && this.registration.waiting;
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.applying = true;
+    waiting.postMessage({ type: "skip-waiting" });
+  }
+}
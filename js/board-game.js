@@ -0,0 +1,250 @@
+/**
+ * 2048 Board Game
+ * One seeded board in play: its engine and generator, the view that draws
+ * it, and whether it has been won or is over. The full game, each race board
+ * and each embedded widget is one of these, so playing a board works the
+ * same everywhere; each adds its own modes, records and controls around it.
+ *
+ * Play is reported through events as it happens:
+ *   move      {direction, score, scoreGained} after a move changed the board
+ *   merge     {value, r, c} for each merged tile
+ *   score     {score, best} when a move scores points
+ *   milestone {tile, score} on reaching the win tile, then each larger tile
+ *   win       {tile, score} once per game, on reaching the win tile
+ *   gameover  {score, maxTile, won} when the game ends
+ */
+
+class BoardGame {
+  /**
+   * @param {Object} options
+   * @param {BoardView} options.view - Draws this board
+   * @param {number} [options.size=4]
+   * @param {Object} [options.rules] - See GameEngine.setRules()
+   * @param {number} [options.best=0] - Best score so far, for callers that
+   *   keep one across games
+   */
+  constructor({ view, size = 4, rules = {}, best = 0 }) {
+    this.view = view;
+    this.EVENTS = ["move", "merge", "score", "milestone", "win", "gameover"];
+
+    // Every game is seeded; start() and restore() set the seed code and its
+    // generator, which also rewinds with undo so spawns can't be rerolled
+    this.seed = null;
+    this.rng = null;
+    this.engine = new GameEngine({
+      size,
+      rules,
+      random: () => this.rng.next(),
+    });
+
+    this.won = false;
+    this.over = false;
+    // Set once the player chooses to play on past the win
+    this.keepPlaying = false;
+    // Largest tile reached this game, so each milestone is reported once
+    this.highestTile = 0;
+    this.best = best;
+
+    // Event name -> Set of listeners
+    this.listeners = new Map(this.EVENTS.map((name) => [name, new Set()]));
+  }
+
+  /**
+   * Listen for an event
+   * @param {string} name - move, merge, score, milestone, win or gameover
+   * @param {Function} listener - Called with the event's details
+   * @returns {Function} - Call to stop listening
+   */
+  on(name, listener) {
+    const listeners = this.listeners.get(name);
+    if (!listeners) throw new TypeError(`Unknown 2048 event: ${name}`);
+    listeners.add(listener);
+    return () => this.off(name, listener);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Function} listener - As passed to on()
+   */
+  off(name, listener) {
+    const listeners = this.listeners.get(name);
+    if (listeners) listeners.delete(listener);
+  }
+
+  /**
+   * Call every listener for an event; one that throws doesn't stop the rest
+   * @param {string} name
+   * @param {Object} detail
+   */
+  emit(name, detail) {
+    this.listeners.get(name).forEach((listener) => {
+      try {
+        listener(detail);
+      } catch (e) {
+        console.error(`2048 ${name} listener failed:`, e);
+      }
+    });
+  }
+
+  /**
+   * Remove every listener
+   */
+  clearListeners() {
+    this.listeners.forEach((listeners) => listeners.clear());
+  }
+
+  /**
+   * Change the board dimensions and rebuild the view's cells
+   * @param {number} size
+   */
+  setSize(size) {
+    this.engine.setSize(size);
+    this.view.build(size);
+  }
+
+  /**
+   * Deal a new game from a seed and draw it
+   * @param {string} seed - Validated seed code
+   * @param {Object} [options]
+   * @param {number} [options.prefill=0] - Share of the board to crowd with
+   *   low tiles after the opening spawns, see GameEngine.prefill()
+   */
+  start(seed, { prefill = 0 } = {}) {
+    this.seed = seed;
+    this.rng = new SeededRandom(seed);
+    this.engine.start();
+    if (prefill > 0) this.engine.prefill(prefill);
+
+    this.won = false;
+    this.over = false;
+    this.keepPlaying = false;
+    this.highestTile = this.engine.getMaxTile();
+    this.view.render(this.engine);
+  }
+
+  /**
+   * Continue a validated saved game and draw it
+   * @param {Object} state
+   * @param {string} state.seed
+   * @param {number} state.rngState
+   * @param {number[][]} state.grid
+   * @param {number[][]} state.blockers
+   * @param {number} state.score
+   * @param {boolean} state.won
+   * @param {boolean} state.over
+   */
+  restore({ seed, rngState, grid, blockers, score, won, over }) {
+    this.seed = seed;
+    this.rng = new SeededRandom(seed);
+    this.rng.setState(rngState);
+    this.engine.setState({ grid, blockers, score });
+
+    this.won = won;
+    this.over = over;
+    // The win message isn't shown again, so a won game carries on
+    this.keepPlaying = won;
+    // Milestones reached before the save were already reported
+    this.highestTile = this.engine.getMaxTile();
+    this.view.render(this.engine);
+  }
+
+  /**
+   * Capture the board together with the generator position, so undoing a
+   * move also rewinds the spawn sequence instead of rerolling it
+   * @returns {{grid: number[][], blockers: number[][], score: number, rngState: number}}
+   */
+  getSnapshot() {
+    return { ...this.engine.getState(), rngState: this.rng.getState() };
+  }
+
+  /**
+   * Go back (or forward) to a snapshot taken with getSnapshot() and draw it
+   * @param {{grid: number[][], score: number, rngState: number}} snapshot
+   */
+  applySnapshot(snapshot) {
+    this.engine.setState(snapshot);
+    this.rng.setState(snapshot.rngState);
+    // Undoing the winning move takes the win back, and the choice to play on
+    // past it; redoing it wins again
+    this.won = this.engine.hasWon();
+    if (!this.won) this.keepPlaying = false;
+    // A board that allowed a move can't be game over; see end()
+    this.over = false;
+    this.view.render(this.engine);
+  }
+
+  /**
+   * Whether the board takes moves: not once it's over, nor after the win
+   * until the player chooses to play on
+   * @returns {boolean}
+   */
+  canMove() {
+    return !this.over && (!this.won || this.keepPlaying);
+  }
+
+  /**
+   * Play on past the win
+   */
+  continuePlaying() {
+    this.keepPlaying = true;
+  }
+
+  /**
+   * Move the tiles, draw the move and report what it did
+   * @param {string} direction - "up", "down", "left" or "right"
+   * @returns {Object|null} - GameEngine.move() result, or null if the board
+   *   doesn't take moves right now
+   */
+  move(direction) {
+    if (!this.canMove()) return null;
+
+    const result = this.engine.move(direction);
+    if (!result.moved) return result;
+
+    this.view.render(this.engine, result);
+    const { score } = this.engine;
+    this.emit("move", { direction, score, scoreGained: result.scoreGained });
+    result.merges.forEach(({ value, r, c }) => {
+      this.emit("merge", { value, r, c });
+    });
+
+    if (result.scoreGained > 0) {
+      this.best = Math.max(this.best, score);
+      this.emit("score", { score, best: this.best });
+    }
+
+    const maxTile = this.engine.getMaxTile();
+    if (maxTile > this.highestTile) {
+      this.highestTile = maxTile;
+      if (maxTile >= this.engine.rules.winTile) {
+        this.emit("milestone", { tile: maxTile, score });
+      }
+    }
+
+    if (result.won && !this.won) {
+      this.won = true;
+      this.emit("win", { tile: maxTile, score });
+    }
+    if (result.over) this.end();
+    return result;
+  }
+
+  /**
+   * End the game, also while moves are left (e.g. a challenge's limit)
+   */
+  end() {
+    if (this.over) return;
+
+    this.over = true;
+    this.emit("gameover", {
+      score: this.engine.score,
+      maxTile: this.engine.getMaxTile(),
+      won: this.won,
+    });
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = BoardGame;
+}
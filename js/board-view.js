@@ -0,0 +1,177 @@
+/**
+ * 2048 Board View
+ * Draws one engine's board into a set of elements: background cells, tiles
+ * and the slide/merge/appear animations. Holds no game state of its own, so
+ * a page can show as many boards as it likes.
+ */
+
+class BoardView {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - Board frame; gets --grid-size
+   * @param {HTMLElement} options.grid - Holds the background cells
+   * @param {HTMLElement} options.tiles - Holds the tile nodes
+   */
+  constructor({ container, grid, tiles }) {
+    this.container = container;
+    this.grid = grid;
+    this.tiles = tiles;
+    this.SLIDE_DURATION = 150; // ms, matches the .tile transition in style.css
+    this.MAX_STYLED_TILE = 131072; // larger tiles share the tile-super colours
+    this.reducedMotion = false;
+
+    // Tile DOM nodes keyed by engine tile id, reused between moves
+    this.tileElements = new Map();
+  }
+
+  /**
+   * Build the background cells for a board size
+   * Tile and cell dimensions follow the --grid-size custom property
+   * @param {number} size
+   */
+  build(size) {
+    if (this.container) {
+      this.container.style.setProperty("--grid-size", size);
+    }
+    if (!this.grid) return;
+
+    // Security: Build cells with DOM APIs rather than innerHTML
+    this.grid.textContent = "";
+    for (let r = 0; r < size; r++) {
+      const row = document.createElement("div");
+      row.className = "grid-row";
+      row.setAttribute("role", "row");
+      for (let c = 0; c < size; c++) {
+        const cell = document.createElement("div");
+        cell.className = "grid-cell";
+        cell.setAttribute("role", "gridcell");
+        row.appendChild(cell);
+      }
+      this.grid.appendChild(row);
+    }
+  }
+
+  /**
+   * Draw the board
+   * With a move result, existing tile nodes slide to their new cells, merged
+   * pairs are replaced by a popping tile and the spawned tile appears. Without
+   * one (new game, undo, resume) every tile is rebuilt.
+   * @param {GameEngine} engine
+   * @param {Object} [result] - Return value of GameEngine.move()
+   */
+  render(engine, result) {
+    if (!result) {
+      // Clear existing tiles
+      this.tiles.textContent = "";
+      this.tileElements.clear();
+      engine.getTiles().forEach((tile) => this.addTile(tile, "tile-new"));
+      this.renderBlockers(engine);
+      this.updateCellLabels(engine);
+      return;
+    }
+
+    // Reuse each sliding tile's node so the CSS transition animates it
+    result.slides.forEach(({ id, to }) => {
+      const tile = this.tileElements.get(id);
+      if (tile) {
+        tile.classList.remove("tile-new", "tile-merged");
+        this.positionTile(tile, to.r, to.c);
+      }
+    });
+
+    // Merged pairs finish their slide before the combined tile replaces them
+    result.merges.forEach((merge) => {
+      merge.sources.forEach((id) => {
+        const tile = this.tileElements.get(id);
+        this.tileElements.delete(id);
+        if (tile) {
+          const delay = this.reducedMotion ? 0 : this.SLIDE_DURATION;
+          setTimeout(() => tile.remove(), delay);
+        }
+      });
+      this.addTile(merge, "tile-merged");
+    });
+
+    if (result.spawned) {
+      this.addTile(result.spawned, "tile-new");
+    }
+    this.updateCellLabels(engine);
+  }
+
+  /**
+   * Name the tile on each background cell for screen readers
+   * The tiles themselves are hidden from assistive technology
+   * @param {GameEngine} engine
+   */
+  updateCellLabels(engine) {
+    if (!this.grid) return;
+
+    Array.from(this.grid.children).forEach((row, r) => {
+      Array.from(row.children).forEach((cell, c) => {
+        cell.setAttribute(
+          "aria-label",
+          `Row ${r + 1}, column ${c + 1}: ${this.describeCell(engine, r, c)}`
+        );
+      });
+    });
+  }
+
+  /**
+   * @param {GameEngine} engine
+   * @param {number} r - Row index
+   * @param {number} c - Column index
+   * @returns {string} - Tile value, "empty" or "blocked"
+   */
+  describeCell(engine, r, c) {
+    if (engine.blocked[r][c]) return "blocked";
+    return engine.grid[r][c] ? String(engine.grid[r][c]) : "empty";
+  }
+
+  /**
+   * Mark the background cells that are blocked in this game
+   * Blockers only change with a new game or snapshot, never during a move
+   * @param {GameEngine} engine
+   */
+  renderBlockers(engine) {
+    if (!this.grid) return;
+
+    const blocked = engine.blocked;
+    Array.from(this.grid.children).forEach((row, r) => {
+      Array.from(row.children).forEach((cell, c) => {
+        cell.classList.toggle("grid-cell-blocked", Boolean(blocked[r][c]));
+      });
+    });
+  }
+
+  /**
+   * Create a tile node and track it by tile id
+   * @param {{id: number, r: number, c: number, value: number}} tile
+   * @param {string} animationClass - "tile-new" or "tile-merged"
+   */
+  addTile({ id, r, c, value }, animationClass) {
+    // Security: Create DOM elements safely without innerHTML injection
+    const tile = document.createElement("div");
+
+    // Use classList for safe class manipulation
+    const tileClass = value > this.MAX_STYLED_TILE ? "super" : value;
+    tile.className = `tile tile-${tileClass} ${animationClass}`;
+
+    // Use textContent (not innerHTML) to prevent XSS if data were ever user-controlled
+    tile.textContent = value;
+
+    this.positionTile(tile, r, c);
+    this.tiles.appendChild(tile);
+    this.tileElements.set(id, tile);
+  }
+
+  /**
+   * Responsive tile positioning using CSS custom properties
+   * @param {HTMLElement} tile
+   * @param {number} r - Row index
+   * @param {number} c - Column index
+   */
+  positionTile(tile, r, c) {
+    tile.style.setProperty("--col-index", c);
+    tile.style.setProperty("--row-index", r);
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * 2048 Charts
+ * Small SVG charts for the statistics panel, drawn without any library.
+ * Colours come from CSS classes so they follow the current theme.
+ */
+
+class SvgChart {
+  /**
+   * Horizontal bar chart, one labelled row per item
+   * @param {{label: string, value: number, text: string}[]} items - Bar
+   *   length comes from value, the number shown beside it from text
+   * @param {string} title - Spoken name of the chart
+   * @returns {SVGSVGElement}
+   */
+  static bars(items, title) {
+    const width = 300;
+    const rowHeight = 24;
+    const labelWidth = 80;
+    const textWidth = 50;
+    const barSpace = width - labelWidth - textWidth;
+    const max = Math.max(...items.map((item) => item.value), 1);
+
+    const values = items.map((item) => `${item.label} ${item.text}`);
+    const svg = SvgChart.create(
+      width,
+      items.length * rowHeight,
+      `${title}: ${values.join(", ")}`
+    );
+
+    items.forEach((item, index) => {
+      const y = index * rowHeight;
+      const barWidth = Math.round((item.value / max) * barSpace);
+
+      const label = SvgChart.element("text", {
+        class: "chart-label",
+        x: labelWidth - 6,
+        y: y + 16,
+        "text-anchor": "end",
+      });
+      label.textContent = item.label;
+
+      const bar = SvgChart.element("rect", {
+        class: "chart-bar",
+        x: labelWidth,
+        y: y + 4,
+        width: barWidth,
+        height: rowHeight - 8,
+        rx: 2,
+      });
+
+      const value = SvgChart.element("text", {
+        class: "chart-value",
+        x: labelWidth + barWidth + 4,
+        y: y + 16,
+      });
+      value.textContent = item.text;
+
+      svg.append(label, bar, value);
+    });
+    return svg;
+  }
+
+  /**
+   * Line chart of a series of values, oldest on the left
+   * @param {number[]} values
+   * @param {string} title - Spoken name of the chart
+   * @returns {SVGSVGElement}
+   */
+  static line(values, title) {
+    const width = 300;
+    const height = 120;
+    const padding = 10;
+    const max = Math.max(...values, 1);
+    const min = Math.min(...values);
+    const step =
+      values.length > 1 ? (width - 2 * padding) / (values.length - 1) : 0;
+
+    const svg = SvgChart.create(
+      width,
+      height,
+      `${title}: ${values.length} games, lowest ${min}, highest ${max}`
+    );
+
+    const points = values.map((value, index) => {
+      const x = padding + index * step;
+      const y = height - padding - (value / max) * (height - 2 * padding);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+
+    svg.appendChild(
+      SvgChart.element("line", {
+        class: "chart-axis",
+        x1: padding,
+        y1: height - padding,
+        x2: width - padding,
+        y2: height - padding,
+      })
+    );
+    svg.appendChild(
+      SvgChart.element("polyline", {
+        class: "chart-line",
+        points: points.join(" "),
+      })
+    );
+    points.forEach((point) => {
+      const [x, y] = point.split(",");
+      svg.appendChild(
+        SvgChart.element("circle", { class: "chart-point", cx: x, cy: y, r: 3 })
+      );
+    });
+
+    const peak = SvgChart.element("text", {
+      class: "chart-value",
+      x: padding,
+      y: padding + 2,
+    });
+    peak.textContent = `Best ${max}`;
+    svg.appendChild(peak);
+    return svg;
+  }
+
+  /**
+   * Empty chart canvas with an accessible name
+   * @param {number} width
+   * @param {number} height
+   * @param {string} label - Chart name and values, read by screen readers
+   * @returns {SVGSVGElement}
+   */
+  static create(width, height, label) {
+    const svg = SvgChart.element("svg", {
+      class: "chart",
+      viewBox: `0 0 ${width} ${height}`,
+      role: "img",
+    });
+    // Security: Labels go in through textContent and attributes, never markup
+    svg.setAttribute("aria-label", label);
+    return svg;
+  }
+
+  /**
+   * @param {string} name - SVG element name
+   * @param {Object} attributes
+   * @returns {SVGElement}
+   */
+  static element(name, attributes) {
+    const element = document.createElementNS(
+      "http://www.w3.org/2000/svg",
+      name
+    );
+    Object.keys(attributes).forEach((key) => {
+      element.setAttribute(key, attributes[key]);
+    });
+    return element;
+  }
+}
@@ -0,0 +1,110 @@
+/**
+ * 2048 Clue Progress
+ * Furthest the reward image has been revealed on each difficulty, kept in
+ * localStorage. Stored as the highest progress-bar tile reached so it still
+ * maps onto the right sections if the manifest's unlock tile changes.
+ */
+
+class ClueProgress {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.difficulties
+   * @param {string} [options.storageKey="2048-clue-progress"]
+   */
+  constructor({ difficulties, storageKey = "2048-clue-progress" }) {
+    this.difficulties = difficulties;
+    this.storageKey = storageKey;
+    this.VERSION = 1;
+    this.MAX_TILE = 131072;
+    this.reached = {};
+  }
+
+  /**
+   * Load progress from localStorage, dropping any invalid values
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read clue progress:", e);
+    }
+    if (!stored) return;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.version !== this.VERSION || !data.reached) return;
+
+    this.difficulties.forEach((difficulty) => {
+      const tile = data.reached[difficulty];
+      if (this.isValidTile(tile)) this.reached[difficulty] = tile;
+    });
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.VERSION, reached: this.reached })
+      );
+    } catch (e) {
+      console.warn("Unable to save clue progress:", e);
+    }
+  }
+
+  /**
+   * Validates a stored tile value
+   * Security: Only real tile values (powers of two) so a tampered value can't
+   * reveal a clue on its own or break the zoom view
+   * @param {*} tile
+   * @returns {boolean}
+   */
+  isValidTile(tile) {
+    return (
+      Number.isInteger(tile) &&
+      tile >= 2 &&
+      tile <= this.MAX_TILE &&
+      (tile & (tile - 1)) === 0
+    );
+  }
+
+  /**
+   * Highest tile reached on a difficulty
+   * @param {string} difficulty
+   * @returns {number} - 0 before the first game
+   */
+  get(difficulty) {
+    return Object.prototype.hasOwnProperty.call(this.reached, difficulty)
+      ? this.reached[difficulty]
+      : 0;
+  }
+
+  /**
+   * Keep a tile if it goes further than before
+   * @param {string} difficulty
+   * @param {number} tile - Largest tile on the board
+   * @returns {boolean} - Whether the furthest reveal moved on
+   */
+  submit(difficulty, tile) {
+    if (!this.difficulties.includes(difficulty)) return false;
+
+    // Anything past the largest progress tile reveals as much as it does
+    const reached = Math.min(tile, this.MAX_TILE);
+    if (!this.isValidTile(reached) || reached <= this.get(difficulty)) {
+      return false;
+    }
+
+    this.reached[difficulty] = reached;
+    this.save();
+    return true;
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ClueProgress;
+}
@@ -0,0 +1,256 @@
+/**
+ * 2048 Control Bindings
+ * Which keys run which command, remappable by the player and kept in localStorage
+ */
+
+class ControlBindings {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey="2048-controls"]
+   */
+  constructor({ storageKey = "2048-controls" } = {}) {
+    this.storageKey = storageKey;
+    this.VERSION = 1;
+    this.SLOTS = 2; // keys per command
+
+    // Commands in the order the settings panel lists them
+    this.commands = {
+      up: "Move up",
+      down: "Move down",
+      left: "Move left",
+      right: "Move right",
+      newGame: "New game",
+      undo: "Undo",
+      redo: "Redo",
+      hint: "Hint",
+      describe: "Describe board",
+    };
+
+    this.defaults = {
+      up: ["ArrowUp", "w"],
+      down: ["ArrowDown", "s"],
+      left: ["ArrowLeft", "a"],
+      right: ["ArrowRight", "d"],
+      newGame: ["n"],
+      undo: ["z"],
+      redo: ["y"],
+      hint: ["h"],
+      describe: ["b"],
+    };
+
+    this.bindings = this.copy(this.defaults);
+  }
+
+  copy(bindings) {
+    const result = {};
+    Object.keys(this.commands).forEach((command) => {
+      result[command] = bindings[command].slice();
+    });
+    return result;
+  }
+
+  /**
+   * Put a key in the form bindings are stored in
+   * Letters are case-insensitive so Shift and Caps Lock don't matter
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string}
+   */
+  normalizeKey(key) {
+    return typeof key === "string" && key.length === 1
+      ? key.toLowerCase()
+      : key;
+  }
+
+  /**
+   * Whether a key may be bound to a command
+   * Security: Allow-list of bindable keys, like the fixed key map it replaces.
+   * Escape and Tab stay reserved for closing dialogs and moving focus.
+   * @param {*} key - Normalized key
+   * @returns {boolean}
+   */
+  isAllowedKey(key) {
+    if (typeof key !== "string") return false;
+    if (/^[a-z0-9]$/.test(key)) return true;
+    if (/^[,.\/;'\[\]\-=`\\ ]$/.test(key)) return true;
+    return [
+      "ArrowUp",
+      "ArrowDown",
+      "ArrowLeft",
+      "ArrowRight",
+      "Enter",
+      "Backspace",
+      "Delete",
+      "Insert",
+      "Home",
+      "End",
+      "PageUp",
+      "PageDown",
+    ].includes(key);
+  }
+
+  /**
+   * Validates a full set of bindings
+   * Security: Every command needs 1–2 allowed keys and no key may run two commands
+   * @param {*} bindings - The bindings to validate
+   * @returns {boolean}
+   */
+  isValidBindings(bindings) {
+    if (!bindings || typeof bindings !== "object") return false;
+
+    const used = new Set();
+    return Object.keys(this.commands).every((command) => {
+      const keys = bindings[command];
+      if (!Array.isArray(keys) || keys.length === 0) return false;
+      if (keys.length > this.SLOTS) return false;
+
+      return keys.every((key) => {
+        if (!this.isAllowedKey(key) || used.has(key)) return false;
+        used.add(key);
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Load saved bindings, keeping the defaults if they are missing or invalid
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read control bindings:", e);
+    }
+    if (!stored) return;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.version !== this.VERSION) return;
+
+    if (this.isValidBindings(data.bindings)) {
+      this.bindings = this.copy(data.bindings);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.VERSION, bindings: this.bindings })
+      );
+    } catch (e) {
+      console.warn("Unable to save control bindings:", e);
+    }
+  }
+
+  /**
+   * Command a key press runs
+   * @param {string} key - KeyboardEvent.key
+   * @returns {string|null} - Command name, or null for unbound keys
+   */
+  getCommand(key) {
+    const normalized = this.normalizeKey(key);
+    if (!this.isAllowedKey(normalized)) return null;
+
+    return (
+      Object.keys(this.bindings).find((command) =>
+        this.bindings[command].includes(normalized)
+      ) || null
+    );
+  }
+
+  /**
+   * Bind a key to one of a command's slots
+   * A key bound elsewhere moves here; if that leaves its old command with no
+   * key, it takes this slot's old key so nothing is ever left unbound
+   * @param {string} command
+   * @param {number} slot - 0 to SLOTS - 1
+   * @param {string} key - KeyboardEvent.key
+   * @returns {boolean} - False if the key isn't allowed or can't be moved
+   */
+  bind(command, slot, key) {
+    const normalized = this.normalizeKey(key);
+    if (!this.commands[command] || !this.isAllowedKey(normalized)) {
+      return false;
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= this.SLOTS) {
+      return false;
+    }
+
+    const keys = this.bindings[command].slice();
+    const previous = keys[slot] || null;
+    if (previous === normalized) return true;
+
+    const owner = this.getCommand(normalized);
+    if (owner === command) {
+      // Already in this command's other slot: swap the two
+      if (!previous) return true;
+      keys[keys.indexOf(normalized)] = previous;
+    } else if (owner) {
+      const ownerKeys = this.bindings[owner].filter((k) => k !== normalized);
+      if (ownerKeys.length === 0) {
+        if (!previous) return false;
+        ownerKeys.push(previous);
+      }
+      this.bindings[owner] = ownerKeys;
+    }
+
+    if (slot < keys.length) {
+      keys[slot] = normalized;
+    } else {
+      keys.push(normalized);
+    }
+    this.bindings[command] = keys;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Remove the key in one of a command's slots
+   * @param {string} command
+   * @param {number} slot
+   * @returns {boolean} - False if it is the command's only key
+   */
+  unbind(command, slot) {
+    const keys = this.bindings[command];
+    if (!keys || keys.length < 2 || !keys[slot]) return false;
+
+    this.bindings[command] = keys.filter((k, index) => index !== slot);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Go back to the default keys
+   */
+  reset() {
+    this.bindings = this.copy(this.defaults);
+    this.save();
+  }
+
+  /**
+   * Human-readable name of a key for the settings panel and hints
+   * @param {string} key - Normalized key
+   * @returns {string}
+   */
+  static describeKey(key) {
+    const names = {
+      ArrowUp: "↑",
+      ArrowDown: "↓",
+      ArrowLeft: "←",
+      ArrowRight: "→",
+      " ": "Space",
+    };
+    if (names[key]) return names[key];
+    return key.length === 1 ? key.toUpperCase() : key;
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ControlBindings;
+}
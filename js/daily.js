@@ -0,0 +1,246 @@
+/**
+ * 2048 Daily Challenge
+ * One puzzle per UTC calendar date, board size and difficulty: the seed comes
+ * from those, so everyone gets the same board and spawns with no server,
+ * wherever they are. Results are kept in localStorage under each puzzle's
+ * seed, so every size and difficulty has its own scored attempt each day;
+ * the streak counts days with at least one.
+ */
+
+class DailyChallenge {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey="2048-daily"]
+   * @param {number} [options.limit=366] - Days of results kept
+   */
+  constructor({ storageKey = "2048-daily", limit = 366 } = {}) {
+    this.storageKey = storageKey;
+    this.limit = limit;
+    this.VERSION = 1;
+    this.results = {};
+  }
+
+  /**
+   * UTC calendar date as "YYYY-MM-DD", so the day changes at the same moment
+   * for every player
+   * @param {Date} [date]
+   * @returns {string}
+   */
+  static getDateKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Seed code of a date's puzzle for one board size and difficulty, e.g.
+   * "D202610194M" for 4 × 4 Medium on 2026-10-19
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @param {number} size - Board size, 3 to 8
+   * @param {string} difficulty - beginner, easy, medium or hard
+   * @returns {string}
+   */
+  static getSeed(dateKey, size, difficulty) {
+    const level = difficulty[0].toUpperCase();
+    return `D${dateKey.replace(/-/g, "")}${size}${level}`;
+  }
+
+  /**
+   * Date a daily seed belongs to
+   * @param {string} seed
+   * @returns {string|null} - "YYYY-MM-DD", or null if it isn't a daily seed
+   */
+  static getDateFromSeed(seed) {
+    const match = /^D(\d{4})(\d{2})(\d{2})[3-8][BEMH]$/.exec(seed);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  }
+
+  /**
+   * Load results from localStorage, dropping any invalid ones
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read daily results:", e);
+    }
+    if (!stored) return;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.version !== this.VERSION || !data.results) return;
+
+    Object.keys(data.results).forEach((seed) => {
+      const result = this.validateResult(seed, data.results[seed]);
+      if (result) this.results[seed] = result;
+    });
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.VERSION, results: this.results })
+      );
+    } catch (e) {
+      console.warn("Unable to save daily results:", e);
+    }
+  }
+
+  /**
+   * Validates a stored daily result
+   * Security: Keep only real dates, whole numbers and known settings so the
+   * panel and summary never show tampered data
+   * @param {string} seed - Daily seed the result was played on
+   * @param {*} result - The result to validate
+   * @returns {Object|null} - Sanitized result, or null if invalid
+   */
+  validateResult(seed, result) {
+    const dateKey = DailyChallenge.getDateFromSeed(seed);
+    if (!dateKey || isNaN(Date.parse(dateKey))) return null;
+    if (!result || typeof result !== "object") return null;
+
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    if (![result.score, result.maxTile, result.moves].every(isCount)) {
+      return null;
+    }
+    if (!Number.isInteger(result.size) || result.size < 3 || result.size > 8) {
+      return null;
+    }
+    if (!["beginner", "easy", "medium", "hard"].includes(result.difficulty)) {
+      return null;
+    }
+    if (typeof result.won !== "boolean") return null;
+    // The seed names the size and difficulty the result was played at
+    const { size, difficulty } = result;
+    if (DailyChallenge.getSeed(dateKey, size, difficulty) !== seed) {
+      return null;
+    }
+
+    return {
+      score: result.score,
+      maxTile: result.maxTile,
+      moves: result.moves,
+      size: result.size,
+      difficulty: result.difficulty,
+      won: result.won,
+    };
+  }
+
+  /**
+   * The scored result of a daily puzzle
+   * @param {string} seed - Daily seed, see getSeed()
+   * @returns {Object|null}
+   */
+  get(seed) {
+    return Object.prototype.hasOwnProperty.call(this.results, seed)
+      ? this.results[seed]
+      : null;
+  }
+
+  /**
+   * Keep a puzzle's first finished attempt; later attempts are practice
+   * @param {string} seed - Daily seed, see getSeed()
+   * @param {Object} result - {score, maxTile, moves, size, difficulty, won}
+   * @returns {boolean} - Whether it was recorded
+   */
+  record(seed, result) {
+    const valid = this.validateResult(seed, result);
+    if (!valid || this.get(seed)) return false;
+
+    this.results[seed] = valid;
+
+    // Keep only the most recent days
+    const kept = this.getDates().slice(0, this.limit);
+    Object.keys(this.results).forEach((old) => {
+      if (!kept.includes(DailyChallenge.getDateFromSeed(old))) {
+        delete this.results[old];
+      }
+    });
+
+    this.save();
+    return true;
+  }
+
+  /**
+   * Dates with at least one result, newest first
+   * @returns {string[]}
+   */
+  getDates() {
+    const dates = Object.keys(this.results).map(DailyChallenge.getDateFromSeed);
+    return [...new Set(dates)].sort().reverse();
+  }
+
+  /**
+   * Seeds with a result, newest date first
+   * @returns {string[]}
+   */
+  getSeeds() {
+    return Object.keys(this.results).sort().reverse();
+  }
+
+  /**
+   * Whether any daily puzzle of a date has a result
+   * @param {string} dateKey - "YYYY-MM-DD"
+   * @returns {boolean}
+   */
+  hasPlayed(dateKey) {
+    return this.getDates().includes(dateKey);
+  }
+
+  /**
+   * Days in a row with a result, up to today
+   * A streak is still alive until today's puzzle is missed
+   * @param {string} [today] - "YYYY-MM-DD"
+   * @returns {number}
+   */
+  getStreak(today = DailyChallenge.getDateKey()) {
+    // Walk back a day at a time at noon UTC, clear of daylight saving changes
+    const day = new Date(`${today}T12:00:00Z`);
+    const dayKey = () => day.toISOString().slice(0, 10);
+
+    if (!this.hasPlayed(dayKey())) day.setUTCDate(day.getUTCDate() - 1);
+
+    let streak = 0;
+    while (this.hasPlayed(dayKey())) {
+      streak++;
+      day.setUTCDate(day.getUTCDate() - 1);
+    }
+    return streak;
+  }
+
+  /**
+   * Text to paste into chat: how far you got, but nothing about the board
+   * @param {string} seed - Daily seed, see getSeed()
+   * @param {number} [streak]
+   * @returns {string|null} - null if the puzzle has no result
+   */
+  getSummary(seed, streak) {
+    const result = this.get(seed);
+    if (!result) return null;
+
+    const dateKey = DailyChallenge.getDateFromSeed(seed);
+    if (streak === undefined) streak = this.getStreak(dateKey);
+
+    // One square per doubling on the way to 2048, filled up to the max tile
+    const steps = Math.min(Math.log2(result.maxTile || 1), 11);
+    const tiles = "🟧".repeat(steps) + "⬜".repeat(11 - steps);
+    const difficulty =
+      result.difficulty[0].toUpperCase() + result.difficulty.slice(1);
+
+    return [
+      `2048 Daily ${dateKey} · ${difficulty} ${result.size}×${result.size}`,
+      `${tiles} ${result.maxTile}${result.won ? " 🏆" : ""}`,
+      `Score ${result.score} · ${result.moves} moves`,
+      `🔥 ${streak}-day streak`,
+    ].join("\n");
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DailyChallenge;
+}
@@ -0,0 +1,82 @@
+/**
+ * 2048 Difficulty Rules
+ * Target tile, board rules and undo allowance for each difficulty level,
+ * shared by the full game and the embeddable widget. Spawn weights are
+ * relative odds, blockers are walls placed at the start and undos are allowed
+ * per game (redo is free); GameEngine ignores undos.
+ */
+
+class DifficultyRules {
+  /**
+   * Every difficulty's rules, as GameEngine.setRules() takes them
+   * @returns {Object<string, {winTile: number, spawns: Array<{value: number, weight: number}>, startTiles: number, blockers: number, undos: number}>} - A fresh copy each call
+   */
+  static profiles() {
+    return {
+      beginner: {
+        winTile: 256,
+        spawns: [
+          { value: 2, weight: 0.95 },
+          { value: 4, weight: 0.05 },
+        ],
+        startTiles: 3,
+        blockers: 0,
+        undos: 10,
+      },
+      easy: {
+        winTile: 512,
+        spawns: [
+          { value: 2, weight: 0.9 },
+          { value: 4, weight: 0.1 },
+        ],
+        startTiles: 2,
+        blockers: 0,
+        undos: 5,
+      },
+      medium: {
+        winTile: 1024,
+        spawns: [
+          { value: 2, weight: 0.85 },
+          { value: 4, weight: 0.15 },
+        ],
+        startTiles: 2,
+        blockers: 0,
+        undos: 3,
+      },
+      hard: {
+        winTile: 2048,
+        spawns: [
+          { value: 2, weight: 0.8 },
+          { value: 4, weight: 0.15 },
+          { value: 8, weight: 0.05 },
+        ],
+        startTiles: 2,
+        blockers: 1,
+        undos: 1,
+      },
+    };
+  }
+
+  /**
+   * @returns {string[]} - Difficulty names, easiest first
+   */
+  static names() {
+    return Object.keys(DifficultyRules.profiles());
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} - That difficulty's rules, or null if unknown
+   */
+  static get(name) {
+    const profiles = DifficultyRules.profiles();
+    return Object.prototype.hasOwnProperty.call(profiles, name)
+      ? profiles[name]
+      : null;
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = DifficultyRules;
+}
@@ -0,0 +1,479 @@
+/**
+ * 2048 Game Engine
+ * Headless board rules with no DOM or storage access, usable in browsers and Node
+ */
+
+class GameEngine {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.size=4] - Board width and height in cells
+   * @param {Function} [options.random=Math.random] - RNG returning a float in [0, 1)
+   * @param {Object} [options.rules] - Rules profile, see setRules()
+   */
+  constructor(options = {}) {
+    this.size = options.size || 4;
+    this.random =
+      typeof options.random === "function" ? options.random : Math.random;
+    this.grid = [];
+    this.score = 0;
+
+    // Cells no tile can enter; they split rows and columns like a wall
+    this.blocked = [];
+
+    // Classic 2048 rules until setRules() says otherwise
+    this.rules = {
+      winTile: 2048,
+      spawns: [
+        { value: 2, weight: 0.9 },
+        { value: 4, weight: 0.1 },
+      ],
+      startTiles: 2,
+      blockers: 0,
+    };
+    this.setRules(options.rules);
+
+    // Tile identity: ids[r][c] names the tile in grid[r][c] (0 when empty) and
+    // follows it across moves so renderers can animate slides
+    this.ids = [];
+    this.nextTileId = 1;
+
+    // Slides and merges produced by the move in progress
+    this.slides = [];
+    this.merges = [];
+
+    this.reset();
+  }
+
+  /**
+   * Clear the board and score without spawning any tiles
+   */
+  reset() {
+    this.grid = Array(this.size)
+      .fill(null)
+      .map(() => Array(this.size).fill(0));
+    this.ids = this.grid.map((row) => row.slice());
+    this.blocked = this.grid.map((row) => row.map(() => false));
+    this.score = 0;
+    this.slides = [];
+    this.merges = [];
+  }
+
+  /**
+   * Change the rules for the next game; unset fields keep their current value
+   * @param {Object} [rules]
+   * @param {number} [rules.winTile] - Tile value that wins the game
+   * @param {Array<{value: number, weight: number}>} [rules.spawns] - Spawned tile values and their relative odds
+   * @param {number} [rules.startTiles] - Tiles placed when a game starts
+   * @param {number} [rules.blockers] - Blocked cells placed when a game starts
+   */
+  setRules(rules = {}) {
+    this.rules = { ...this.rules, ...rules };
+  }
+
+  /**
+   * Change the board dimensions, clearing the board
+   * @param {number} size - New board width and height in cells
+   */
+  setSize(size) {
+    this.size = size;
+    this.reset();
+  }
+
+  /**
+   * Start a new game: place the rules' blocked cells, then its starting tiles
+   * @returns {Array<{id: number, r: number, c: number, value: number}>} - Spawned tiles
+   */
+  start() {
+    this.reset();
+
+    // At most one blocker per row and column, and no more than size - 2,
+    // always leaves room for at least two tiles in every row and column
+    const blockers = Math.min(this.rules.blockers, this.size - 2);
+    const usedRows = new Set();
+    const usedCols = new Set();
+    for (let i = 0; i < blockers; i++) {
+      const freeCells = this.getEmptyCells().filter(
+        ({ r, c }) => !usedRows.has(r) && !usedCols.has(c)
+      );
+      const { r, c } = freeCells[Math.floor(this.random() * freeCells.length)];
+      this.blocked[r][c] = true;
+      usedRows.add(r);
+      usedCols.add(c);
+    }
+
+    const spawned = [];
+    for (let i = 0; i < this.rules.startTiles; i++) {
+      spawned.push(this.addRandomTile());
+    }
+    return spawned;
+  }
+
+  /**
+   * Crowd the opening board: fill a share of all cells with random low tiles
+   * @param {number} share - Fraction of the board to fill, 0 to 1
+   */
+  prefill(share) {
+    const target = Math.floor(this.size * this.size * share);
+
+    while (this.getTiles().length < target) {
+      // 2 to 32, so few neighbours start out mergeable
+      const value = 2 ** (1 + Math.floor(this.random() * 5));
+      if (!this.addRandomTile(value)) break;
+    }
+  }
+
+  /**
+   * Cells that can take a new tile
+   * @returns {Array<{r: number, c: number}>}
+   */
+  getEmptyCells() {
+    const emptyCells = [];
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        if (this.grid[r][c] === 0 && !this.blocked[r][c]) {
+          emptyCells.push({ r, c });
+        }
+      }
+    }
+    return emptyCells;
+  }
+
+  /**
+   * Place a tile in a random empty cell, its value drawn from the rules' spawn odds
+   * @param {number} [value] - Tile value to place instead of drawing one
+   * @returns {{id: number, r: number, c: number, value: number}|null} - Spawned tile, or null if the board is full
+   */
+  addRandomTile(value) {
+    const emptyCells = this.getEmptyCells();
+
+    if (emptyCells.length > 0) {
+      const { r, c } =
+        emptyCells[Math.floor(this.random() * emptyCells.length)];
+      if (value === undefined) {
+        value = this.pickSpawnValue(this.random());
+      }
+      const id = this.nextTileId++;
+      this.grid[r][c] = value;
+      this.ids[r][c] = id;
+      return { id, r, c, value };
+    }
+    return null;
+  }
+
+  /**
+   * Map a roll in [0, 1) onto the spawn odds
+   * With the classic odds a roll below 0.9 gives a 2 and anything else a 4
+   * @param {number} roll
+   * @returns {number} - Tile value
+   */
+  pickSpawnValue(roll) {
+    const spawns = this.rules.spawns;
+    const total = spawns.reduce((sum, spawn) => sum + spawn.weight, 0);
+
+    let threshold = 0;
+    for (const spawn of spawns) {
+      threshold += spawn.weight / total;
+      if (roll < threshold) return spawn.value;
+    }
+    return spawns[spawns.length - 1].value;
+  }
+
+  /**
+   * Slide the board in a direction and spawn a tile if anything moved
+   * @param {string} direction - One of "up", "down", "left", "right"
+   * Slides: {id, value, from: {r, c}, to: {r, c}} for every tile that changed cell,
+   * including both tiles of a merge. Merges: {id, value, r, c, sources: [id, id]}
+   * where id is the new merged tile.
+   * @returns {{direction: string, moved: boolean, scoreGained: number, slides: Object[], merges: Object[], spawned: Object|null, won: boolean, over: boolean}}
+   */
+  move(direction) {
+    const scoreBefore = this.score;
+    this.slides = [];
+    this.merges = [];
+    let moved = false;
+
+    if (direction === "left") {
+      moved = this.moveLeft();
+    } else if (direction === "right") {
+      moved = this.moveRight();
+    } else if (direction === "up") {
+      moved = this.moveUp();
+    } else if (direction === "down") {
+      moved = this.moveDown();
+    }
+
+    const spawned = moved ? this.addRandomTile() : null;
+
+    return {
+      direction,
+      moved,
+      scoreGained: this.score - scoreBefore,
+      slides: this.slides.slice(),
+      merges: this.merges.slice(),
+      spawned,
+      won: this.hasWon(),
+      over: this.isGameOver(),
+    };
+  }
+
+  moveLeft() {
+    return this.slide("left");
+  }
+
+  moveRight() {
+    return this.slide("right");
+  }
+
+  moveUp() {
+    return this.slide("up");
+  }
+
+  moveDown() {
+    return this.slide("down");
+  }
+
+  /**
+   * Slide every row or column towards one edge
+   * @param {string} direction - One of "up", "down", "left", "right"
+   * @returns {boolean} - Whether any tile moved
+   */
+  slide(direction) {
+    let moved = false;
+    for (let index = 0; index < this.size; index++) {
+      const segments = this.splitAtBlockers(this.getLine(direction, index));
+      segments.forEach((segment) => {
+        if (this.slideLine(segment)) {
+          moved = true;
+        }
+      });
+    }
+    return moved;
+  }
+
+  /**
+   * Break a line into the runs of open cells between blocked cells
+   * @param {Array<{r: number, c: number}>} positions - Output of getLine()
+   * @returns {Array<Array<{r: number, c: number}>>} - Segments that slide independently
+   */
+  splitAtBlockers(positions) {
+    const segments = [[]];
+    positions.forEach((position) => {
+      if (this.blocked[position.r][position.c]) {
+        segments.push([]);
+      } else {
+        segments[segments.length - 1].push(position);
+      }
+    });
+    return segments.filter((segment) => segment.length > 0);
+  }
+
+  /**
+   * Cell positions of one row or column, starting at the edge tiles slide towards
+   * @param {string} direction - One of "up", "down", "left", "right"
+   * @param {number} index - Row index for left/right, column index for up/down
+   * @returns {Array<{r: number, c: number}>}
+   */
+  getLine(direction, index) {
+    const positions = [];
+    for (let i = 0; i < this.size; i++) {
+      const far = this.size - 1 - i;
+      if (direction === "left") {
+        positions.push({ r: index, c: i });
+      } else if (direction === "right") {
+        positions.push({ r: index, c: far });
+      } else if (direction === "up") {
+        positions.push({ r: i, c: index });
+      } else {
+        positions.push({ r: far, c: index });
+      }
+    }
+    return positions;
+  }
+
+  /**
+   * Compact one line towards its first position, merging equal neighbours once
+   * @param {Array<{r: number, c: number}>} positions - Output of getLine()
+   * @returns {boolean} - Whether any tile in the line moved
+   */
+  slideLine(positions) {
+    const tiles = positions
+      .filter(({ r, c }) => this.grid[r][c] !== 0)
+      .map(({ r, c }) => ({ id: this.ids[r][c], value: this.grid[r][c], r, c }));
+
+    positions.forEach(({ r, c }) => {
+      this.grid[r][c] = 0;
+      this.ids[r][c] = 0;
+    });
+
+    let moved = false;
+    let target = 0;
+    for (let i = 0; i < tiles.length; i++) {
+      const tile = tiles[i];
+      const to = positions[target++];
+
+      if (i < tiles.length - 1 && tile.value === tiles[i + 1].value) {
+        // Both tiles slide into the target cell and are replaced by a new one
+        const partner = tiles[i + 1];
+        const value = tile.value * 2;
+        const id = this.nextTileId++;
+
+        this.grid[to.r][to.c] = value;
+        this.ids[to.r][to.c] = id;
+        this.score += value;
+
+        this.recordSlide(tile, to);
+        this.recordSlide(partner, to);
+        this.merges.push({
+          id,
+          value,
+          r: to.r,
+          c: to.c,
+          sources: [tile.id, partner.id],
+        });
+        moved = true;
+        i++;
+      } else {
+        this.grid[to.r][to.c] = tile.value;
+        this.ids[to.r][to.c] = tile.id;
+        if (this.recordSlide(tile, to)) {
+          moved = true;
+        }
+      }
+    }
+    return moved;
+  }
+
+  /**
+   * Note a tile's move from its current cell to a new one
+   * @param {{id: number, value: number, r: number, c: number}} tile
+   * @param {{r: number, c: number}} to
+   * @returns {boolean} - False if the tile stayed in place
+   */
+  recordSlide(tile, to) {
+    if (tile.r === to.r && tile.c === to.c) return false;
+
+    this.slides.push({
+      id: tile.id,
+      value: tile.value,
+      from: { r: tile.r, c: tile.c },
+      to: { r: to.r, c: to.c },
+    });
+    return true;
+  }
+
+  hasWon() {
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        if (this.grid[r][c] >= this.rules.winTile) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  isGameOver() {
+    // Check for empty cells
+    if (this.getEmptyCells().length > 0) {
+      return false;
+    }
+
+    // Check for possible merges (the only zeros left are blocked cells)
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        const current = this.grid[r][c];
+        if (current === 0) continue;
+        if (c < this.size - 1 && current === this.grid[r][c + 1]) {
+          return false;
+        }
+        if (r < this.size - 1 && current === this.grid[r + 1][c]) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Snapshot the board, blocked cells and score
+   * @returns {{grid: number[][], blockers: number[][], score: number}} - Deep copy safe to store
+   */
+  getState() {
+    return {
+      grid: this.grid.map((row) => row.slice()),
+      blockers: this.getBlockers(),
+      score: this.score,
+    };
+  }
+
+  /**
+   * Restore a snapshot taken with getState()
+   * @param {{grid: number[][], blockers: (number[][]|undefined), score: number}} state - blockers defaults to none
+   */
+  setState(state) {
+    this.grid = state.grid.map((row) => row.slice());
+    this.blocked = this.grid.map((row) => row.map(() => false));
+    (state.blockers || []).forEach(([r, c]) => {
+      this.blocked[r][c] = true;
+    });
+    // Restored tiles get fresh identities; they have no slide to animate
+    this.ids = this.grid.map((row) =>
+      row.map((value) => (value !== 0 ? this.nextTileId++ : 0))
+    );
+    this.score = state.score;
+    this.slides = [];
+    this.merges = [];
+  }
+
+  /**
+   * Blocked cells as [row, column] pairs
+   * @returns {number[][]}
+   */
+  getBlockers() {
+    const blockers = [];
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        if (this.blocked[r][c]) blockers.push([r, c]);
+      }
+    }
+    return blockers;
+  }
+
+  /**
+   * List every tile on the board with its identity
+   * @returns {Array<{id: number, r: number, c: number, value: number}>}
+   */
+  getTiles() {
+    const tiles = [];
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        if (this.grid[r][c] !== 0) {
+          tiles.push({ id: this.ids[r][c], r, c, value: this.grid[r][c] });
+        }
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Highest tile value currently on the board
+   * @returns {number}
+   */
+  getMaxTile() {
+    let maxTile = 0;
+    for (let r = 0; r < this.size; r++) {
+      for (let c = 0; c < this.size; c++) {
+        if (this.grid[r][c] > maxTile) {
+          maxTile = this.grid[r][c];
+        }
+      }
+    }
+    return maxTile;
+  }
+}
+
+// Expose to Node (bots, tests, analysis); browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameEngine;
+}
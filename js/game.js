@@ -1,64 +1,375 @@
 /**
  * 2048 Game Implementation
- * Client-side puzzle game with localStorage persistence
+ * Browser front end (rendering, input, storage) around the headless GameEngine
  */
 
 class Game {
   constructor() {
-    this.size = 4;
-    this.grid = [];
-    this.score = 0;
+    // Shared links (?seed=…&difficulty=…&size=…&mode=…) take priority over stored settings
+    const linkParams = new URLSearchParams(window.location.search);
+
+    // Security: Validate board size from the link or localStorage
+    const storedSize =
+      linkParams.get("size") || localStorage.getItem("2048-size");
+    this.size = this.validateSize(storedSize);
+
+    this.history = new MoveHistory();
+
+    // Recording of the current game for replays: board after the opening
+    // spawns plus every direction played (undone moves are dropped)
+    this.startSnapshot = null;
+    this.moveLog = [];
+
+    // Timing of the current game for the leaderboard (null until the first move)
+    this.startedAt = null;
+    this.lastMoveAt = null;
+    this.resultRecorded = false;
 
     // Security: Validate localStorage data before use to prevent data corruption
     // Parse as integer and fallback to 0 if invalid
-    const storedBest = localStorage.getItem("2048-best");
+    const storedBest = localStorage.getItem(this.getBestKey());
     this.best = this.validateScore(storedBest);
 
-    // Security: Validate difficulty level from localStorage
-    const storedDifficulty = localStorage.getItem("2048-difficulty");
+    // Security: Validate difficulty level from the link or localStorage
+    const storedDifficulty =
+      linkParams.get("difficulty") || localStorage.getItem("2048-difficulty");
     this.difficulty = this.validateDifficulty(storedDifficulty);
 
-    // Milestone targets for each difficulty level
-    this.milestoneTargets = {
-      beginner: 256,
-      easy: 512,
-      medium: 1024,
-      hard: 2048,
+    // Security: Validate the seed code from the link
+    const linkedSeed = this.validateSeed(linkParams.get("seed"));
+
+    // Rules for each difficulty level, see js/difficulty.js; the win tile is
+    // its milestone target
+    this.rulesProfiles = DifficultyRules.profiles();
+
+    // Milestone target and undo allowance for each difficulty level. Both
+    // are read from the difficulty's profile rather than kept as tables of
+    // their own, so one place sets everything a difficulty changes
+    this.milestoneTargets = {};
+    this.undoAllowances = {};
+    Object.keys(this.rulesProfiles).forEach((difficulty) => {
+      const { winTile, undos } = this.rulesProfiles[difficulty];
+      this.milestoneTargets[difficulty] = winTile;
+      this.undoAllowances[difficulty] = undos;
+    });
+
+    // Reward image, alt text, clue caption and unlock tile per difficulty.
+    // assets/rewards.json replaces these defaults once it has loaded.
+    const defaultRewards = {};
+    Object.keys(this.milestoneTargets).forEach((difficulty) => {
+      defaultRewards[difficulty] = {
+        image: `assets/progress-bar-${difficulty}.png`,
+        alt: "Enlarged image",
+        caption: "",
+        unlockTile: this.milestoneTargets[difficulty],
+      };
+    });
+    this.rewards = new RewardManifest({ defaults: defaultRewards });
+    this.missingImages = new Set(); // image paths that failed to load
+
+    // Furthest each difficulty's clue has been revealed, across games
+    this.clueProgress = new ClueProgress({
+      difficulties: Object.keys(this.milestoneTargets),
+    });
+    this.clueProgress.load();
+
+    // Undos allowed per game come from each difficulty's rules profile
+    this.undosUsed = 0;
+
+    // Best score before the current game started, so undone moves can't raise it
+    this.bestAtGameStart = this.best;
+
+    // Top finished games per board size and difficulty; the first run imports
+    // the old best score, which predates board sizes so was set on 4 × 4
+    this.leaderboard = new Leaderboard({
+      sizes: [3, 4, 5, 6, 7, 8], // every size validateSize() allows
+      difficulties: Object.keys(this.milestoneTargets),
+    });
+    if (!this.leaderboard.load()) {
+      const legacyBest = this.validateScore(localStorage.getItem("2048-best"));
+      this.leaderboard.importLegacyBest(4, this.difficulty, legacyBest);
+    }
+    this.leaderboardSize = this.size;
+    this.leaderboardDifficulty = this.difficulty;
+    this.leaderboardSort = { key: "score", descending: true };
+
+    // Game modes; classic is endless play, the others are challenges with
+    // their own limits, end conditions and records
+    this.modeSettings = {
+      classic: {},
+      "time-attack": { timeLimit: 3 * 60 * 1000 }, // ms to reach the target
+      "move-budget": { moveLimit: 100 },
+      survival: { filledCells: 0.5 }, // share of the board filled at the start
+      daily: {}, // seeded by the date, see js/daily.js
     };
 
+    // Security: Validate game mode from the link or localStorage
+    const storedMode =
+      linkParams.get("mode") || localStorage.getItem("2048-mode");
+    this.mode = this.validateMode(storedMode);
+
+    const challenges = Object.keys(this.modeSettings).filter(
+      (mode) => mode !== "classic" && mode !== "daily"
+    );
+    this.modeRecords = new ModeRecords({ modes: challenges });
+    this.modeRecords.load();
+    this.modeTimer = null;
+
+    // Daily puzzle results and streak
+    this.daily = new DailyChallenge();
+    this.daily.load();
+
+    // Per-game and lifetime statistics across every mode
+    this.stats = new GameStats({
+      difficulties: Object.keys(this.milestoneTargets),
+    });
+    this.stats.load();
+
     // Track if milestone unlocked in CURRENT game (resets on restart)
     this.isMilestoneUnlockedInGame = false;
 
-    this.gameWon = false;
-    this.gameOver = false;
+    // Set once autoplay moves in the current game, which then stays off the
+    // leaderboard, daily results, challenge records and clue
+    this.assisted = false;
+
+    this.CELEBRATION_DURATION = 2500; // ms the banner stays up
+    this.celebrationTimer = null;
+
+    // The last section written in index.html; the bar grows past it
+    this.PROGRESS_END = 2048;
 
     // Cache DOM elements to avoid repeated queries
     this.tileContainer = document.getElementById("tile-container");
     this.scoreElement = document.getElementById("score");
     this.bestElement = document.getElementById("best");
+    this.modeStatusBox = document.getElementById("mode-status");
+    this.modeStatusTitle = document.getElementById("mode-status-title");
+    this.modeStatusValue = document.getElementById("mode-status-value");
+    this.modeRecordBox = document.getElementById("mode-record");
+    this.modeRecordTitle = document.getElementById("mode-record-title");
+    this.modeRecordValue = document.getElementById("mode-record-value");
+    this.modeSelect = document.getElementById("mode-select");
     this.gameMessage = document.getElementById("game-message");
     this.progressBar = document.getElementById("progress-bar");
+    this.progressTitle = document.getElementById("progress-title");
     this.difficultyFill = document.getElementById("difficulty-fill");
     this.zoomButton = document.getElementById("zoom-progress-btn");
     this.zoomModal = document.getElementById("progress-zoom-modal");
     this.zoomImage = document.getElementById("zoom-progress-image");
     this.zoomCloseBtn = document.getElementById("zoom-close-btn");
+    this.zoomCaption = document.getElementById("zoom-caption");
+    this.zoomFallback = document.getElementById("zoom-fallback");
+    this.zoomCovers = document.getElementById("zoom-covers");
     this.targetValueElement = document.getElementById("target-value");
     this.zoomBtnIcon = document.getElementById("zoom-btn-icon");
     this.zoomBtnText = document.getElementById("zoom-btn-text");
+    this.undoButton = document.getElementById("undo-btn");
+    this.redoButton = document.getElementById("redo-btn");
+    this.undoRemainingElement = document.getElementById("undo-remaining");
+    this.gridContainer = document.getElementById("grid-container");
+    this.sizeSelect = document.getElementById("size-select");
+    this.seedValueElement = document.getElementById("seed-value");
+    this.seedForm = document.getElementById("seed-form");
+    this.seedInput = document.getElementById("seed-input");
+    this.copySeedLinkButton = document.getElementById("copy-seed-link-btn");
+    this.watchReplayButton = document.getElementById("watch-replay-btn");
+    this.downloadReplayButton = document.getElementById("download-replay-btn");
+    this.replayFileInput = document.getElementById("replay-file-input");
+    this.replayStatusElement = document.getElementById("replay-status");
+    this.hintButton = document.getElementById("hint-btn");
+    this.hintIndicator = document.getElementById("hint-indicator");
+    this.autoplayButton = document.getElementById("autoplay-btn");
+    this.autoplaySpeedSelect = document.getElementById("autoplay-speed");
+    this.leaderboardButton = document.getElementById("leaderboard-btn");
+    this.leaderboardModal = document.getElementById("leaderboard-modal");
+    this.leaderboardBody = document.getElementById("leaderboard-body");
+    this.leaderboardEmpty = document.getElementById("leaderboard-empty");
+    this.leaderboardCloseBtn = document.getElementById("leaderboard-close-btn");
+    this.leaderboardClearBtn = document.getElementById("leaderboard-clear-btn");
+    this.leaderboardSizeSelect = document.getElementById("leaderboard-size");
+    this.dailyButton = document.getElementById("daily-btn");
+    this.dailyModal = document.getElementById("daily-modal");
+    this.dailyCloseBtn = document.getElementById("daily-close-btn");
+    this.dailyStreakElement = document.getElementById("daily-streak");
+    this.dailySummaryElement = document.getElementById("daily-summary");
+    this.dailyPlayButton = document.getElementById("daily-play-btn");
+    this.dailyCopyButton = document.getElementById("daily-copy-btn");
+    this.dailyBody = document.getElementById("daily-body");
+    this.dailyEmpty = document.getElementById("daily-empty");
+    this.statsButton = document.getElementById("stats-btn");
+    this.statsModal = document.getElementById("stats-modal");
+    this.statsCloseBtn = document.getElementById("stats-close-btn");
+    this.statsEmpty = document.getElementById("stats-empty");
+    this.statsJsonButton = document.getElementById("stats-json-btn");
+    this.statsCsvButton = document.getElementById("stats-csv-btn");
+    this.statsClearBtn = document.getElementById("stats-clear-btn");
+    this.raceButton = document.getElementById("race-btn");
+    this.raceModal = document.getElementById("race-modal");
+    this.raceCloseBtn = document.getElementById("race-close-btn");
+    this.raceNewBtn = document.getElementById("race-new-btn");
+    this.versusButton = document.getElementById("versus-btn");
+    this.versusModal = document.getElementById("versus-modal");
+    this.versusCloseBtn = document.getElementById("versus-close-btn");
+    this.versusSetup = document.getElementById("versus-setup");
+    this.versusSignallingSelect = document.getElementById("versus-signalling");
+    this.versusServer = document.getElementById("versus-server");
+    this.versusServerInput = document.getElementById("versus-server-url");
+    this.versusRoomInput = document.getElementById("versus-room");
+    this.versusHostBtn = document.getElementById("versus-host-btn");
+    this.versusJoinBtn = document.getElementById("versus-join-btn");
+    this.versusCodes = document.getElementById("versus-codes");
+    this.versusLocalCode = document.getElementById("versus-local-code");
+    this.versusRemoteCode = document.getElementById("versus-remote-code");
+    this.versusCopyBtn = document.getElementById("versus-copy-btn");
+    this.versusCodeBtn = document.getElementById("versus-code-btn");
+    this.versusRematchBtn = document.getElementById("versus-rematch-btn");
+    this.versusLeaveBtn = document.getElementById("versus-leave-btn");
+    this.announcer = document.getElementById("announcer");
+    this.updateNotice = document.getElementById("update-notice");
+    this.updateReloadBtn = document.getElementById("update-reload-btn");
+    this.updateDismissBtn = document.getElementById("update-dismiss-btn");
+    this.tryAgainButton = document.getElementById("try-again-btn");
+    this.keepGoingButton = document.getElementById("keep-going-btn");
+    this.celebrationElement = document.getElementById("celebration");
+    this.celebrationTile = document.getElementById("celebration-tile");
+    this.celebrationText = document.getElementById("celebration-text");
+    this.describeBoardButton = document.getElementById("describe-board-btn");
+    this.reduceMotionToggle = document.getElementById("reduce-motion-toggle");
+    this.themeSelect = document.getElementById("theme-select");
+
+    // Screen reader announcements made in the same turn are read together
+    this.pendingAnnouncements = [];
+    this.announceTimer = null;
+
+    // Element to give focus back to when a dialog closes
+    this.focusBeforeDialog = null;
+
+    // Remappable keys, plus controllers through the Gamepad API
+    this.controls = new ControlBindings();
+    this.controls.load();
+    this.bindingCapture = null; // {command, slot} while waiting for a key
+    this.controlsButton = document.getElementById("controls-btn");
+    this.controlsModal = document.getElementById("controls-modal");
+    this.controlsCloseBtn = document.getElementById("controls-close-btn");
+    this.controlsResetBtn = document.getElementById("controls-reset-btn");
+    this.controlsBody = document.getElementById("controls-body");
+    this.controlsStatus = document.getElementById("controls-status");
+    this.gamepad = new GamepadInput({
+      onCommand: (command) => this.runCommand(command),
+    });
+
+    // Expectimax solver in a Web Worker for hints and autoplay
+    this.solver = new SolverClient();
+    this.autoplaying = false;
+    this.autoplayTimer = null;
+    this.autoplayDelay = 150; // ms between autoplay moves
+    this.hintTimer = null;
 
-    // Touch gesture configuration
-    this.SWIPE_THRESHOLD = 30; // minimum pixels for valid swipe
+    // Replays take over the board through their own engine
+    this.replayViewer = new ReplayViewer(this);
+
+    // Swipes from touch, pen or mouse drags on the board
     this.gameContainer = document.querySelector(".game-container");
-    this.touchStartX = 0;
-    this.touchStartY = 0;
-    this.touchInProgress = false;
+    this.swipe = new SwipeInput({
+      element: this.gameContainer,
+      onSwipe: (direction) => this.runCommand(direction),
+    });
+    this.swipe.load();
+    this.swipeSensitivityInput = document.getElementById("swipe-sensitivity");
+    this.swipeDeadzoneInput = document.getElementById("swipe-deadzone");
+    this.swipeFlickToggle = document.getElementById("swipe-flick-toggle");
+
+    // Two-player race on its own pair of boards
+    this.race = new Race({
+      container: document.getElementById("race-boards"),
+      resultElement: document.getElementById("race-result"),
+    });
 
-    this.init();
+    // Online race against another browser over WebRTC
+    this.versus = new Versus({
+      container: document.getElementById("versus-boards"),
+      resultElement: document.getElementById("versus-result"),
+      statusElement: document.getElementById("versus-status"),
+      getRules: (difficulty) => this.getRules(difficulty),
+      difficulties: Object.keys(this.milestoneTargets),
+    });
+    this.versusSignalling = null;
+
+    // Offline play through the service worker, and its version updates
+    this.updates = new AppUpdates({
+      onUpdate: () => this.showUpdateNotice(),
+    });
+
+    // Cells, tiles and their animations
+    this.board = new BoardView({
+      container: this.gameContainer,
+      grid: this.gridContainer,
+      tiles: this.tileContainer,
+    });
+
+    // The seeded board in play; its rules live in js/engine.js and this
+    // class adds the page around it. Every game is seeded so it can be
+    // shared and replayed. this.engine is the engine the board shows, which
+    // a replay swaps for its own
+    this.play = new BoardGame({ view: this.board, size: this.size });
+    this.engine = this.play.engine;
+
+    // Reduced motion follows prefers-reduced-motion unless the player chose
+    this.motionQuery = window.matchMedia
+      ? window.matchMedia("(prefers-reduced-motion: reduce)")
+      : null;
+    this.reducedMotion = this.validateReducedMotion(
+      localStorage.getItem("2048-reduced-motion")
+    );
+    document.body.classList.toggle("reduce-motion", this.reducedMotion);
+    this.board.reducedMotion = this.reducedMotion;
+    this.versus.reducedMotion = this.reducedMotion;
+
+    // Colour theme; "system" picks classic or dark from prefers-color-scheme
+    this.themes = ["system", "classic", "dark", "high-contrast", "colorblind"];
+    this.colorSchemeQuery = window.matchMedia
+      ? window.matchMedia("(prefers-color-scheme: dark)")
+      : null;
+    this.theme = this.validateTheme(localStorage.getItem("2048-theme"));
+    this.applyTheme();
+
+    // Saved game format; bump when the shape of saveGame() output changes
+    this.SAVE_VERSION = 1;
+
+    const linkKeys = ["seed", "size", "difficulty", "mode"];
+    if (linkKeys.some((key) => linkParams.has(key))) {
+      this.adoptLinkSettings();
+    }
+
+    // Security: Validate the saved game before resuming it; start fresh if invalid
+    // A linked seed always starts that game rather than resuming
+    const storedGame = localStorage.getItem("2048-game");
+    const savedGame = linkedSeed ? null : this.validateSavedGame(storedGame);
+    this.buildGrid();
+    if (savedGame) {
+      this.resume(savedGame);
+    } else {
+      this.init(linkedSeed);
+    }
     this.setupInputs();
-    this.setupTouchControls();
     this.setupDifficultyControls();
+    this.setupSizeControls();
+    this.setupModeControls();
     this.setupZoomControls();
+    this.setupHistoryControls();
+    this.setupSeedControls();
+    this.setupReplayControls();
+    this.setupSolverControls();
+    this.setupLeaderboardControls();
+    this.setupDailyControls();
+    this.setupStatsControls();
+    this.setupRaceControls();
+    this.setupVersusControls();
+    this.setupAccessibility();
+    this.setupControlsPanel();
+    this.updateShortcutHints();
+    this.loadRewards();
+    this.setupUpdateControls();
   }
 
   /**
@@ -81,292 +392,2355 @@ class Game {
    * @returns {string} - Valid difficulty level or 'beginner' as default
    */
   validateDifficulty(value) {
-    const validDifficulties = ["beginner", "easy", "medium", "hard"];
-    if (value && validDifficulties.includes(value)) {
+    if (value && DifficultyRules.get(value)) {
       return value;
     }
     return "beginner"; // Default difficulty
   }
 
-  init() {
-    // Reset milestone unlock status for new game
-    this.isMilestoneUnlockedInGame = false;
-
-    // Initialize empty grid
-    this.grid = Array(this.size)
-      .fill(null)
-      .map(() => Array(this.size).fill(0));
-    this.score = 0;
-    this.gameWon = false;
-    this.gameOver = false;
-    this.updateScore();
-    this.updateBest();
-    this.updateProgress();
-    this.hideMessage();
-
-    // Add two initial tiles
-    this.addRandomTile();
-    this.addRandomTile();
-    this.render();
+  /**
+   * Validates game mode from the link, localStorage or the mode selector
+   * Security: Ensure only known modes are used
+   * @param {string|null} value - The mode value to validate
+   * @returns {string} - Valid mode or 'classic' as default
+   */
+  validateMode(value) {
+    if (value && Object.keys(this.modeSettings).includes(value)) {
+      return value;
+    }
+    return "classic";
+  }
 
-    // Update zoom button to locked state
-    this.updateZoomButton();
+  /**
+   * Validates the stored reduced-motion choice
+   * Security: Accept only "true" or "false"; anything else falls back to the system setting
+   * @param {string|null} value - The stored value to validate
+   * @returns {boolean} - Whether to reduce motion
+   */
+  validateReducedMotion(value) {
+    if (value === "true" || value === "false") return value === "true";
+    return Boolean(this.motionQuery && this.motionQuery.matches);
   }
 
-  setupInputs() {
-    // Security: Input validation - only process allowed key inputs
-    // Define strict allow-list of valid keys to prevent unexpected behavior
-    const keyMap = {
-      ArrowUp: "up",
-      ArrowDown: "down",
-      ArrowLeft: "left",
-      ArrowRight: "right",
-      w: "up",
-      W: "up",
-      s: "down",
-      S: "down",
-      a: "left",
-      A: "left",
-      d: "right",
-      D: "right",
-    };
+  /**
+   * Validates the stored colour theme
+   * Security: Ensure only known themes end up in the data-theme attribute
+   * @param {string|null} value - The theme value to validate
+   * @returns {string} - Valid theme or 'system' as default
+   */
+  validateTheme(value) {
+    if (value && this.themes.includes(value)) {
+      return value;
+    }
+    return "system";
+  }
 
-    document.addEventListener("keydown", (e) => {
-      // Prevent input when game is over (unless won)
-      if (this.gameOver && !this.gameWon) return;
+  /**
+   * Current board, owned by the engine
+   * @returns {number[][]}
+   */
+  get grid() {
+    return this.engine.grid;
+  }
 
-      // Security: Validate key input against allow-list
-      const direction = keyMap[e.key];
-      if (direction) {
-        e.preventDefault();
-        this.move(direction);
-      }
-      // Silently ignore any keys not in the allow-list
-    });
+  /**
+   * Current score, owned by the engine
+   * @returns {number}
+   */
+  get score() {
+    return this.engine.score;
   }
 
-  setupTouchControls() {
-    // Only set up if game container exists and touch is supported
-    if (!this.gameContainer || !("ontouchstart" in window)) {
-      return;
-    }
+  /**
+   * Seed code of the current game, owned by the board in play
+   * @returns {string}
+   */
+  get seed() {
+    return this.play.seed;
+  }
 
-    // Prevent default touch behaviors for game area
-    this.gameContainer.addEventListener(
-      "touchstart",
-      (e) => {
-        // Ignore if game is over or touch already in progress
-        if ((this.gameOver && !this.gameWon) || this.touchInProgress) {
-          return;
-        }
+  /**
+   * @returns {boolean}
+   */
+  get gameWon() {
+    return this.play.won;
+  }
 
-        // Only handle single touch (first finger)
-        const touch = e.touches[0];
-        if (!touch) return;
+  /**
+   * @returns {boolean}
+   */
+  get gameOver() {
+    return this.play.over;
+  }
 
-        this.touchInProgress = true;
-        this.touchStartX = touch.clientX;
-        this.touchStartY = touch.clientY;
+  /**
+   * Whether the player closed the win message to play on
+   * @returns {boolean}
+   */
+  get keepPlaying() {
+    return this.play.keepPlaying;
+  }
 
-        // Prevent scrolling/zooming from starting
-        e.preventDefault();
-      },
-      { passive: false }
-    ); // passive: false allows preventDefault
+  /**
+   * Validates board size from localStorage or the size selector
+   * Security: Ensure only supported board sizes are used
+   * @param {string|null} value - The size value to validate
+   * @returns {number} - Valid size (3 to 8) or 4 as default
+   */
+  validateSize(value) {
+    const parsed = parseInt(value, 10);
+    if (!isNaN(parsed) && parsed >= 3 && parsed <= 8) {
+      return parsed;
+    }
+    return 4; // Default size
+  }
 
-    this.gameContainer.addEventListener(
-      "touchmove",
-      (e) => {
-        if (!this.touchInProgress) return;
+  /**
+   * Validates a seed code from the URL, the seed input or a saved game
+   * Security: Allow only short alphanumeric codes so seeds are safe to display and share
+   * @param {string|null} value - The seed value to validate
+   * @returns {string|null} - Uppercase seed code, or null if invalid
+   */
+  validateSeed(value) {
+    if (typeof value !== "string") return null;
+    const code = value.trim().toUpperCase();
+    return /^[A-Z0-9]{1,16}$/.test(code) ? code : null;
+  }
 
-        // Prevent scrolling while swiping
-        e.preventDefault();
-      },
-      { passive: false }
-    );
+  /**
+   * Remember the size, difficulty and mode a shared link asked for
+   * The query is then removed so a reload resumes the game instead of restarting it
+   */
+  adoptLinkSettings() {
+    // Security: Store only validated values in localStorage
+    try {
+      localStorage.setItem("2048-size", this.size.toString());
+      localStorage.setItem("2048-difficulty", this.difficulty);
+      localStorage.setItem("2048-mode", this.mode);
+    } catch (e) {
+      console.warn("Unable to save link settings:", e);
+    }
 
-    this.gameContainer.addEventListener("touchend", (e) => {
-      if (!this.touchInProgress) return;
+    if (window.history && window.history.replaceState) {
+      window.history.replaceState(
+        null,
+        "",
+        window.location.pathname + window.location.hash
+      );
+    }
+  }
 
-      // Get the touch point where finger lifted
-      const touch = e.changedTouches[0];
-      if (!touch) {
-        this.touchInProgress = false;
-        return;
-      }
+  /**
+   * Get the localStorage key holding the best score for the current board size
+   * 4x4 keeps the original key so existing best scores carry over
+   * @returns {string}
+   */
+  getBestKey() {
+    return this.size === 4 ? "2048-best" : `2048-best-${this.size}x${this.size}`;
+  }
 
-      const touchEndX = touch.clientX;
-      const touchEndY = touch.clientY;
+  /**
+   * Validates a tile value from a saved board
+   * @param {*} value - The cell value to validate
+   * @returns {boolean} - True for 0 (empty) or a power of two from 2 upwards
+   */
+  isValidTile(value) {
+    if (!Number.isInteger(value) || value < 0) return false;
+    return value === 0 || (value >= 2 && Number.isInteger(Math.log2(value)));
+  }
 
-      // Calculate swipe distance and direction
-      const direction = this.calculateSwipeDirection(
-        this.touchStartX,
-        this.touchStartY,
-        touchEndX,
-        touchEndY
-      );
+  /**
+   * Validates a board from a saved game or replay file
+   * @param {*} grid - The board to validate
+   * @param {number} size - Expected board size
+   * @returns {boolean} - True if grid is size x size of valid tile values
+   */
+  isValidGrid(grid, size) {
+    if (!Array.isArray(grid) || grid.length !== size) return false;
+    return grid.every(
+      (row) =>
+        Array.isArray(row) &&
+        row.length === size &&
+        row.every((cell) => this.isValidTile(cell))
+    );
+  }
 
-      // Execute move if valid direction detected
-      if (direction) {
-        this.move(direction);
-      }
+  /**
+   * Validates the blocked cells of a saved game or replay file
+   * @param {*} blockers - [row, column] pairs to validate
+   * @param {number[][]} grid - Already validated board they belong to
+   * @returns {boolean} - True if every pair is a distinct, empty cell on the board
+   */
+  isValidBlockers(blockers, grid) {
+    // GameEngine.start() never blocks more than size - 2 cells
+    if (!Array.isArray(blockers) || blockers.length > grid.length - 2) {
+      return false;
+    }
 
-      this.touchInProgress = false;
+    const cells = new Set();
+    return blockers.every((cell) => {
+      if (!Array.isArray(cell) || cell.length !== 2) return false;
+      const [r, c] = cell;
+      const inRange = (index) =>
+        Number.isInteger(index) && index >= 0 && index < grid.length;
+      if (!inRange(r) || !inRange(c) || grid[r][c] !== 0) return false;
+      if (cells.has(`${r},${c}`)) return false;
+      cells.add(`${r},${c}`);
+      return true;
     });
+  }
 
-    // Handle touch cancellation (e.g., phone call, notification)
-    this.gameContainer.addEventListener("touchcancel", () => {
-      this.touchInProgress = false;
-    });
+  /**
+   * Validates a seeded generator position
+   * @param {*} value - The state to validate
+   * @returns {boolean} - True for an unsigned 32-bit integer
+   */
+  isValidRngState(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 0xffffffff;
   }
 
-  calculateSwipeDirection(startX, startY, endX, endY) {
-    const deltaX = endX - startX;
-    const deltaY = endY - startY;
+  /**
+   * Validates the opening board of a recorded game
+   * @param {*} start - The {grid, blockers, score, rngState} snapshot to validate
+   * @param {number} [size] - Expected board size, defaults to the current one
+   * @returns {Object|null} - Sanitized snapshot, or null if invalid
+   */
+  validateStartSnapshot(start, size = this.size) {
+    if (!start || typeof start !== "object") return null;
+    if (!this.isValidGrid(start.grid, size)) return null;
+    if (!this.isValidBlockers(start.blockers, start.grid)) return null;
+    if (!Number.isInteger(start.score) || start.score < 0) return null;
+    if (!this.isValidRngState(start.rngState)) return null;
+
+    return {
+      grid: start.grid.map((row) => row.slice()),
+      blockers: start.blockers.map((cell) => cell.slice()),
+      score: start.score,
+      rngState: start.rngState,
+    };
+  }
 
-    // Calculate total distance using Pythagorean theorem
-    const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+  /**
+   * Validates a replay file
+   * Security: Reject malformed or tampered replays; the moves are also
+   * checked against the game rules when the replay is opened
+   * @param {string|null} value - The raw JSON text to validate
+   * @returns {Replay|null} - Replay ready to view, or null if invalid
+   */
+  validateReplay(value) {
+    if (!value) return null;
 
-    // Ignore if swipe is too short (likely accidental tap)
-    if (distance < this.SWIPE_THRESHOLD) {
+    let data;
+    try {
+      data = JSON.parse(value);
+    } catch (e) {
       return null;
     }
 
-    // Determine primary axis by comparing absolute deltas
-    const absDeltaX = Math.abs(deltaX);
-    const absDeltaY = Math.abs(deltaY);
+    if (!data || typeof data !== "object") return null;
+    if (data.format !== "2048-replay" || data.version !== 1) return null;
 
-    // Horizontal swipe (X movement dominates)
-    if (absDeltaX > absDeltaY) {
-      return deltaX > 0 ? "right" : "left";
-    }
-    // Vertical swipe (Y movement dominates)
-    else {
-      return deltaY > 0 ? "down" : "up";
+    const size = this.validateSize(data.size);
+    if (size !== data.size) return null;
+    if (this.validateDifficulty(data.difficulty) !== data.difficulty) {
+      return null;
     }
-  }
 
-  setupDifficultyControls() {
-    const markers = document.querySelectorAll(".difficulty-marker");
+    const seed = this.validateSeed(data.seed);
+    if (!seed || seed !== data.seed) return null;
 
-    markers.forEach((marker) => {
-      marker.addEventListener("click", (e) => {
-        // Security: Validate the difficulty value from data attribute
-        const difficulty = marker.getAttribute("data-difficulty");
-        const level = parseInt(marker.getAttribute("data-level"), 10);
+    const start = this.validateStartSnapshot(data.start, size);
+    const moves = Replay.decodeMoves(data.moves);
+    if (!start || !moves) return null;
 
-        // Validate inputs before processing
-        if (
-          this.validateDifficulty(difficulty) === difficulty &&
-          !isNaN(level)
-        ) {
-          this.setDifficulty(difficulty, level);
-        }
-      });
+    return new Replay({
+      seed,
+      size,
+      difficulty: data.difficulty,
+      rules: this.getRules(data.difficulty),
+      start,
+      moves,
     });
-
-    // Initialize UI with current difficulty
-    this.updateDifficultyUI();
   }
 
-  setDifficulty(difficulty, level) {
-    this.difficulty = difficulty;
+  /**
+   * Validates a saved game from localStorage
+   * Security: Reject malformed, outdated or tampered saves so they can't corrupt game state
+   * @param {string|null} value - The raw JSON string to validate
+   * @returns {Object|null} - Sanitized saved game, or null if it can't be resumed
+   */
+  validateSavedGame(value) {
+    if (!value) return null;
 
-    // Security: Store only validated difficulty value in localStorage
+    let data;
     try {
-      localStorage.setItem("2048-difficulty", difficulty);
+      data = JSON.parse(value);
     } catch (e) {
-      console.warn("Unable to save difficulty setting:", e);
+      return null;
     }
 
-    // Update UI
-    this.updateDifficultyUI();
+    if (!data || typeof data !== "object") return null;
+
+    // Only resume saves written by this format, board size, difficulty and mode
+    if (data.version !== this.SAVE_VERSION) return null;
+    if (data.size !== this.size) return null;
+    if (data.difficulty !== this.difficulty) return null;
+    if (data.mode !== this.mode) return null;
 
-    // Update progress bar background image based on difficulty
-    if (this.progressBar) {
-      this.progressBar.style.backgroundImage = `url('assets/progress-bar-${difficulty}.png')`;
+    if (!this.isValidGrid(data.grid, this.size)) return null;
+    if (!this.isValidBlockers(data.blockers, data.grid)) return null;
+
+    const counts = [data.score, data.undosUsed, data.bestAtGameStart];
+    if (!counts.every((count) => Number.isInteger(count) && count >= 0)) {
+      return null;
     }
 
-    // Update fill bar width (0%, 33%, 66%, 100% for levels 1-4)
-    if (this.difficultyFill) {
-      const fillPercentage = ((level - 1) / 3) * 100;
-      this.difficultyFill.style.width = `${fillPercentage}%`;
+    const seed = this.validateSeed(data.seed);
+    if (!seed || seed !== data.seed) return null;
+    if (!this.isValidRngState(data.rngState)) return null;
+
+    // A daily puzzle can only be continued on its own day
+    if (this.mode === "daily" && seed !== this.getDailySeed()) return null;
+
+    const flags = [
+      data.gameWon,
+      data.gameOver,
+      data.isMilestoneUnlockedInGame,
+      data.assisted,
+    ];
+    if (!flags.every((flag) => typeof flag === "boolean")) return null;
+
+    const start = this.validateStartSnapshot(data.start);
+    const moves = Replay.decodeMoves(data.moves);
+    if (!start || !moves) return null;
+
+    // Timestamps are null until the first move, and set together after it
+    const times = [data.startedAt, data.lastMoveAt];
+    if (data.startedAt === null || data.lastMoveAt === null) {
+      if (data.startedAt !== data.lastMoveAt || moves.length > 0) return null;
+    } else if (
+      !times.every((time) => Number.isInteger(time) && time > 0) ||
+      data.lastMoveAt < data.startedAt
+    ) {
+      return null;
     }
 
-    // Restart game with new difficulty
-    this.restart();
+    return {
+      grid: data.grid.map((row) => row.slice()),
+      blockers: data.blockers.map((cell) => cell.slice()),
+      score: data.score,
+      seed,
+      rngState: data.rngState,
+      start,
+      moves,
+      startedAt: data.startedAt,
+      lastMoveAt: data.lastMoveAt,
+      undosUsed: data.undosUsed,
+      bestAtGameStart: data.bestAtGameStart,
+      gameWon: data.gameWon,
+      gameOver: data.gameOver,
+      isMilestoneUnlockedInGame: data.isMilestoneUnlockedInGame,
+      assisted: data.assisted,
+    };
   }
 
-  updateDifficultyUI() {
-    const markers = document.querySelectorAll(".difficulty-marker");
-
-    markers.forEach((marker) => {
-      const difficulty = marker.getAttribute("data-difficulty");
-      const level = parseInt(marker.getAttribute("data-level"), 10);
-
-      if (difficulty === this.difficulty) {
-        marker.classList.add("active");
+  /**
+   * Store the in-progress game so it survives a page reload
+   */
+  saveGame() {
+    const state = this.play.getSnapshot();
+    const data = {
+      version: this.SAVE_VERSION,
+      size: this.size,
+      difficulty: this.difficulty,
+      mode: this.mode,
+      grid: state.grid,
+      blockers: state.blockers,
+      score: state.score,
+      seed: this.seed,
+      rngState: state.rngState,
+      start: this.startSnapshot,
+      moves: Replay.encodeMoves(this.moveLog),
+      startedAt: this.startedAt,
+      lastMoveAt: this.lastMoveAt,
+      undosUsed: this.undosUsed,
+      bestAtGameStart: this.bestAtGameStart,
+      gameWon: this.gameWon,
+      gameOver: this.gameOver,
+      isMilestoneUnlockedInGame: this.isMilestoneUnlockedInGame,
+      assisted: this.assisted,
+    };
 
-        // Update fill bar
-        if (this.difficultyFill && !isNaN(level)) {
-          const fillPercentage = ((level - 1) / 3) * 100;
-          this.difficultyFill.style.width = `${fillPercentage}%`;
-        }
+    try {
+      localStorage.setItem("2048-game", JSON.stringify(data));
+    } catch (e) {
+      console.warn("Unable to save game:", e);
+    }
+  }
 
-        // Update progress bar background
-        if (this.progressBar) {
-          this.progressBar.style.backgroundImage = `url('assets/progress-bar-${difficulty}.png')`;
-        }
-      } else {
-        marker.classList.remove("active");
-      }
+  /**
+   * Continue a validated saved game instead of starting a new one
+   * Undo history is not saved, so it starts again from the resumed board
+   * @param {Object} saved - Output of validateSavedGame()
+   */
+  resume(saved) {
+    this.engine.setRules(this.getRules());
+    this.play.restore({
+      seed: saved.seed,
+      rngState: saved.rngState,
+      grid: saved.grid,
+      blockers: saved.blockers,
+      score: saved.score,
+      won: saved.gameWon,
+      over: saved.gameOver,
     });
+    this.history.reset(this.play.getSnapshot());
+    this.startSnapshot = saved.start;
+    this.moveLog = saved.moves;
+    this.startedAt = saved.startedAt;
+    this.lastMoveAt = saved.lastMoveAt;
+    // A game saved after it ended was recorded when it ended
+    this.resultRecorded = saved.gameOver;
+    this.undosUsed = saved.undosUsed;
+    // Best can't have started higher than the best we have on record
+    this.bestAtGameStart = Math.min(saved.bestAtGameStart, this.best);
+    this.isMilestoneUnlockedInGame = saved.isMilestoneUnlockedInGame;
+    this.assisted = saved.assisted;
 
-    // Update zoom button state when difficulty UI changes
+    this.updateScore();
+    this.updateBest();
+    this.updateProgress();
+    this.hideMessage();
     this.updateZoomButton();
+    this.updateHistoryButtons();
+    this.updateSeedDisplay();
+    this.updateModeHud();
+    this.startModeTimer();
+
+    if (this.gameOver) {
+      this.showMessage(...this.getGameOverMessage());
+    }
   }
 
-  setupZoomControls() {
-    // Initialize button state
-    this.updateZoomButton();
+  /**
+   * Start a new game
+   * @param {string} [seed] - Validated seed code to play; a new one is generated if omitted
+   */
+  init(seed) {
+    // A new game always takes the board back from an open replay
+    this.replayViewer.close();
+    this.stopAutoplay();
+    this.clearHint();
 
-    // Open modal on button click
-    if (this.zoomButton) {
-      this.zoomButton.addEventListener("click", () => {
-        this.openZoomModal();
-      });
-    }
+    // Leaving a game part-way still puts it on the leaderboard
+    this.recordGameResult();
 
-    // Close modal on close button click
-    if (this.zoomCloseBtn) {
-      this.zoomCloseBtn.addEventListener("click", () => {
-        this.closeZoomModal();
-      });
-    }
+    // Reset milestone unlock status for new game
+    this.isMilestoneUnlockedInGame = false;
 
-    // Close modal on backdrop click
-    if (this.zoomModal) {
-      this.zoomModal.addEventListener("click", (e) => {
-        // Only close if clicking the backdrop, not the image
-        if (e.target === this.zoomModal) {
-          this.closeZoomModal();
-        }
-      });
+    // Daily games always play today's puzzle
+    if (this.mode === "daily") {
+      seed = this.getDailySeed();
+    } else {
+      seed = seed || SeededRandom.generateSeed();
     }
 
-    // Close modal on ESC key
-    document.addEventListener("keydown", (e) => {
-      if (
-        e.key === "Escape" &&
-        this.zoomModal &&
-        this.zoomModal.classList.contains("active")
-      ) {
-        this.closeZoomModal();
-      }
+    // Empty grid plus the difficulty's blockers and starting tiles.
+    // Survival's crowded board comes from the seed too, so it can be shared
+    this.engine.setRules(this.getRules());
+    this.play.start(seed, {
+      prefill:
+        this.mode === "survival" ? this.modeSettings.survival.filledCells : 0,
     });
-  }
+    this.history.reset(this.play.getSnapshot());
+    this.startSnapshot = this.play.getSnapshot();
+    this.moveLog = [];
+    this.startedAt = null;
+    this.lastMoveAt = null;
+    this.resultRecorded = false;
+    this.undosUsed = 0;
+    this.bestAtGameStart = this.best;
+    this.assisted = false;
+    this.hideCelebration();
+    this.updateScore();
+    this.updateBest();
+    this.updateProgress();
+    this.hideMessage();
 
-  /**
+    // Update zoom button to locked state
+    this.updateZoomButton();
+    this.updateHistoryButtons();
+    this.updateSeedDisplay();
+    this.updateModeHud();
+    this.startModeTimer();
+    this.saveGame();
+  }
+
+  setupInputs() {
+    document.addEventListener("keydown", (e) => {
+      // Let form fields such as the seed input receive their own typing
+      if (e.target.closest && e.target.closest("input, select, textarea")) {
+        return;
+      }
+      // The next key press is being captured as a new binding
+      if (this.bindingCapture) return;
+      // Leave browser and system shortcuts such as Ctrl+D or Cmd+Z alone
+      if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+      // Security: Validate key input against the allow-listed bindings
+      const command = this.controls.getCommand(e.key);
+      if (command) {
+        e.preventDefault();
+        this.runCommand(command);
+      }
+      // Silently ignore any keys not in the allow-list
+    });
+
+    if (this.keepGoingButton) {
+      this.keepGoingButton.addEventListener("click", () => {
+        this.keepGoing();
+      });
+    }
+  }
+
+  /**
+   * Close the win message and carry on playing the same board
+   */
+  keepGoing() {
+    if (this.gameOver) return;
+
+    this.play.continuePlaying();
+    this.hideMessage();
+    this.announce(`Keep going! Next milestone: ${this.getNextMilestone()}.`);
+  }
+
+  /**
+   * Run a command from the keyboard or a gamepad
+   * @param {string} command - A direction or one of ControlBindings' actions
+   */
+  runCommand(command) {
+    // The race boards take every key while they are open
+    if (this.race.isActive() || this.versus.isActive()) return;
+
+    // Actions stay active after game over so a misswipe can be undone
+    const actions = {
+      newGame: () => this.restart(),
+      undo: () => this.undo(),
+      redo: () => this.redo(),
+      hint: () => this.showHint(),
+      describe: () => this.announce(this.describeBoard()),
+    };
+    if (actions[command]) {
+      actions[command]();
+      return;
+    }
+
+    // Prevent input when game is over (unless won)
+    if (this.gameOver && !this.gameWon) return;
+
+    if (["up", "down", "left", "right"].includes(command)) {
+      this.move(command);
+    }
+  }
+
+  setupControlsPanel() {
+    if (this.controlsButton) {
+      this.controlsButton.addEventListener("click", () => {
+        this.openControls();
+      });
+    }
+
+    if (this.controlsCloseBtn) {
+      this.controlsCloseBtn.addEventListener("click", () => {
+        this.closeControls();
+      });
+    }
+
+    if (this.controlsResetBtn) {
+      this.controlsResetBtn.addEventListener("click", () => {
+        this.bindingCapture = null;
+        this.controls.reset();
+        this.swipe.reset();
+        this.renderControls("Controls reset to the defaults.");
+        this.updateShortcutHints();
+      });
+    }
+
+    if (this.controlsModal) {
+      this.controlsModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the panel
+        if (e.target === this.controlsModal) {
+          this.closeControls();
+        }
+      });
+    }
+
+    // Security: Parse slider values; SwipeInput rejects anything out of range
+    if (this.swipeSensitivityInput) {
+      this.swipeSensitivityInput.addEventListener("change", () => {
+        const sensitivity = parseInt(this.swipeSensitivityInput.value, 10);
+        this.swipe.update({ sensitivity });
+        this.renderSwipeSettings();
+      });
+    }
+
+    if (this.swipeDeadzoneInput) {
+      this.swipeDeadzoneInput.addEventListener("change", () => {
+        const deadzone = parseInt(this.swipeDeadzoneInput.value, 10);
+        this.swipe.update({ deadzone });
+        this.renderSwipeSettings();
+      });
+    }
+
+    if (this.swipeFlickToggle) {
+      this.swipeFlickToggle.addEventListener("change", () => {
+        this.swipe.update({ flick: this.swipeFlickToggle.checked });
+        this.renderSwipeSettings();
+      });
+    }
+
+    document.addEventListener("keydown", (e) => {
+      if (
+        !this.controlsModal ||
+        !this.controlsModal.classList.contains("active")
+      ) {
+        return;
+      }
+
+      if (!this.bindingCapture) {
+        if (e.key === "Escape") this.closeControls();
+        return;
+      }
+
+      // Tab keeps moving focus; Escape cancels the capture
+      if (e.key === "Tab") return;
+      e.preventDefault();
+
+      const { command, slot } = this.bindingCapture;
+      this.bindingCapture = null;
+      if (e.key === "Escape") {
+        this.renderControls("Cancelled.");
+        return;
+      }
+
+      const label = this.controls.commands[command];
+      const normalized = this.controls.normalizeKey(e.key);
+      const key = ControlBindings.describeKey(normalized);
+      if (this.controls.bind(command, slot, e.key)) {
+        this.renderControls(`${label} is now ${key}.`);
+        this.updateShortcutHints();
+      } else {
+        this.renderControls(`${key} can't be used. Try another key.`);
+      }
+    });
+  }
+
+  openControls() {
+    if (!this.controlsModal) return;
+
+    this.renderControls("");
+
+    this.controlsModal.classList.add("active");
+    this.controlsModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.controlsCloseBtn);
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = "hidden";
+  }
+
+  closeControls() {
+    if (!this.controlsModal) return;
+
+    this.bindingCapture = null;
+    this.controlsModal.classList.remove("active");
+    this.controlsModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
+
+    // Restore body scroll
+    document.body.style.overflow = "";
+  }
+
+  /**
+   * List every command with a button per key slot
+   * @param {string} status - Message for the status line
+   */
+  renderControls(status) {
+    if (this.controlsStatus) {
+      // Security: Use textContent for safe DOM updates
+      this.controlsStatus.textContent = status;
+    }
+    this.renderSwipeSettings();
+    if (!this.controlsBody) return;
+
+    // Security: Build rows with textContent rather than innerHTML
+    this.controlsBody.textContent = "";
+    Object.keys(this.controls.commands).forEach((command) => {
+      const label = this.controls.commands[command];
+      const keys = this.controls.bindings[command];
+
+      const row = document.createElement("tr");
+      const name = document.createElement("th");
+      name.scope = "row";
+      name.textContent = label;
+      row.appendChild(name);
+
+      for (let slot = 0; slot < this.controls.SLOTS; slot++) {
+        const cell = document.createElement("td");
+        const button = document.createElement("button");
+        const key = keys[slot];
+        const keyName = key ? ControlBindings.describeKey(key) : null;
+        button.type = "button";
+        button.className = "binding-btn";
+        button.textContent = keyName || "—";
+        button.setAttribute(
+          "aria-label",
+          `${label}, key ${slot + 1}: ${keyName || "none"}. Press to change`
+        );
+        button.addEventListener("click", () => {
+          this.bindingCapture = { command, slot };
+          button.textContent = "…";
+          if (this.controlsStatus) {
+            this.controlsStatus.textContent =
+              `Press a key for ${label}, or Escape to cancel.`;
+          }
+        });
+        cell.appendChild(button);
+
+        // The second key can be removed; every command keeps at least one
+        if (slot > 0 && key) {
+          const clear = document.createElement("button");
+          clear.type = "button";
+          clear.className = "binding-clear-btn";
+          clear.textContent = "×";
+          clear.setAttribute("aria-label", `Remove ${label} key ${slot + 1}`);
+          clear.addEventListener("click", () => {
+            this.controls.unbind(command, slot);
+            this.renderControls(`${label} key removed.`);
+            this.updateShortcutHints();
+          });
+          cell.appendChild(clear);
+        }
+        row.appendChild(cell);
+      }
+      this.controlsBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Show the current swipe settings on their controls
+   */
+  renderSwipeSettings() {
+    const { sensitivity, deadzone, flick } = this.swipe.settings;
+    if (this.swipeSensitivityInput) {
+      this.swipeSensitivityInput.value = String(sensitivity);
+      this.swipeSensitivityInput.setAttribute(
+        "aria-valuetext",
+        `${sensitivity} of ${this.swipe.DISTANCES.length}`
+      );
+    }
+    if (this.swipeDeadzoneInput) {
+      this.swipeDeadzoneInput.value = String(deadzone);
+      this.swipeDeadzoneInput.setAttribute("aria-valuetext", `${deadzone}°`);
+    }
+    if (this.swipeFlickToggle) {
+      this.swipeFlickToggle.checked = flick;
+    }
+  }
+
+  /**
+   * Keep keyboard shortcut hints on the buttons in step with the bindings
+   */
+  updateShortcutHints() {
+    const buttons = {
+      undo: this.undoButton,
+      redo: this.redoButton,
+      hint: this.hintButton,
+      describe: this.describeBoardButton,
+    };
+
+    Object.keys(buttons).forEach((command) => {
+      const button = buttons[command];
+      if (!button) return;
+      const keys = this.controls.bindings[command];
+      // aria-keyshortcuts uses key names, with "Space" for the space bar
+      const shortcuts = keys.map((key) => (key === " " ? "Space" : key));
+      button.setAttribute("aria-keyshortcuts", shortcuts.join(" "));
+      const names = keys.map((key) => ControlBindings.describeKey(key));
+      button.title = `${this.controls.commands[command]} (${names.join(" or ")})`;
+    });
+  }
+
+  setupDifficultyControls() {
+    const markers = document.querySelectorAll(".difficulty-marker");
+
+    markers.forEach((marker) => {
+      marker.addEventListener("click", (e) => {
+        // Security: Validate the difficulty value from data attribute
+        const difficulty = marker.getAttribute("data-difficulty");
+        const level = parseInt(marker.getAttribute("data-level"), 10);
+
+        // Validate inputs before processing
+        if (
+          this.validateDifficulty(difficulty) === difficulty &&
+          !isNaN(level)
+        ) {
+          this.setDifficulty(difficulty, level);
+        }
+      });
+    });
+
+    // Initialize UI with current difficulty
+    this.updateDifficultyUI();
+  }
+
+  setupSizeControls() {
+    if (!this.sizeSelect) return;
+
+    this.sizeSelect.value = String(this.size);
+
+    this.sizeSelect.addEventListener("change", () => {
+      // Security: Validate the selected size before applying it
+      const size = this.validateSize(this.sizeSelect.value);
+      if (String(size) === this.sizeSelect.value) {
+        this.setSize(size);
+      }
+    });
+  }
+
+  setSize(size) {
+    this.replayViewer.close();
+    // Record the current game under its own size before switching
+    this.recordGameResult();
+    this.size = size;
+    this.play.setSize(size);
+
+    // Security: Store only validated size value in localStorage
+    try {
+      localStorage.setItem("2048-size", size.toString());
+    } catch (e) {
+      console.warn("Unable to save board size:", e);
+    }
+
+    // Each size keeps its own best score
+    this.best = this.validateScore(localStorage.getItem(this.getBestKey()));
+
+    this.restart();
+  }
+
+  setupModeControls() {
+    if (!this.modeSelect) return;
+
+    this.modeSelect.value = this.mode;
+
+    this.modeSelect.addEventListener("change", () => {
+      // Security: Validate the selected mode before applying it
+      const mode = this.validateMode(this.modeSelect.value);
+      if (mode === this.modeSelect.value) {
+        this.setMode(mode);
+      }
+    });
+  }
+
+  /**
+   * Switch game mode and start a new game in it
+   * @param {string} mode - Validated mode
+   * @param {string} [seed] - Validated seed code for the new game
+   */
+  setMode(mode, seed) {
+    this.replayViewer.close();
+    this.recordGameResult();
+    this.mode = mode;
+    if (this.modeSelect) this.modeSelect.value = mode;
+
+    // Security: Store only validated mode value in localStorage
+    try {
+      localStorage.setItem("2048-mode", mode);
+    } catch (e) {
+      console.warn("Unable to save game mode:", e);
+    }
+
+    this.init(seed);
+  }
+
+  /**
+   * Build the background cells for the current board size
+   */
+  buildGrid() {
+    this.board.build(this.size);
+  }
+
+  setDifficulty(difficulty, level) {
+    this.replayViewer.close();
+    // Record the current game under its own difficulty before switching
+    this.recordGameResult();
+    this.difficulty = difficulty;
+
+    // Security: Store only validated difficulty value in localStorage
+    try {
+      localStorage.setItem("2048-difficulty", difficulty);
+    } catch (e) {
+      console.warn("Unable to save difficulty setting:", e);
+    }
+
+    // Update UI
+    this.updateDifficultyUI();
+
+    // Update fill bar width (0%, 33%, 66%, 100% for levels 1-4)
+    if (this.difficultyFill) {
+      const fillPercentage = ((level - 1) / 3) * 100;
+      this.difficultyFill.style.width = `${fillPercentage}%`;
+    }
+
+    // Restart game with new difficulty
+    this.restart();
+  }
+
+  updateDifficultyUI() {
+    const markers = document.querySelectorAll(".difficulty-marker");
+
+    markers.forEach((marker) => {
+      const difficulty = marker.getAttribute("data-difficulty");
+      const level = parseInt(marker.getAttribute("data-level"), 10);
+
+      if (difficulty === this.difficulty) {
+        marker.classList.add("active");
+
+        // Update fill bar
+        if (this.difficultyFill && !isNaN(level)) {
+          const fillPercentage = ((level - 1) / 3) * 100;
+          this.difficultyFill.style.width = `${fillPercentage}%`;
+        }
+
+      } else {
+        marker.classList.remove("active");
+      }
+    });
+
+    // Update reward image and zoom button state when difficulty UI changes
+    this.updateRewardImage();
+    this.updateZoomButton();
+  }
+
+  /**
+   * Load the reward manifest, then show whatever it changed
+   */
+  loadRewards() {
+    this.rewards.load().then((loaded) => {
+      if (!loaded) return;
+      this.updateRewardImage();
+      this.updateZoomButton();
+      this.checkAndUnlockMilestone(this.engine.getMaxTile());
+    });
+  }
+
+  /**
+   * Image to show for the current difficulty's reward
+   * Falls back to the default progress bar image when the reward's is missing
+   * @returns {string|null} - null if neither image loads
+   */
+  getRewardImage() {
+    const candidates = [
+      this.rewards.get(this.difficulty).image,
+      this.rewards.FALLBACK_IMAGE,
+    ];
+    return candidates.find((image) => !this.missingImages.has(image)) || null;
+  }
+
+  /**
+   * Put the reward image behind the progress bar, checking that it loads
+   */
+  updateRewardImage() {
+    if (!this.progressBar) return;
+
+    const image = this.getRewardImage();
+    // Security: Paths are validated by RewardManifest, so they can't escape url()
+    this.progressBar.style.backgroundImage = image ? `url("${image}")` : "none";
+    if (!image || typeof Image === "undefined") return;
+
+    const probe = new Image();
+    probe.addEventListener("error", () => {
+      this.missingImages.add(image);
+      this.updateRewardImage();
+    });
+    probe.src = image;
+  }
+
+  setupZoomControls() {
+    // Initialize button state
+    this.updateZoomButton();
+
+    // Open modal on button click
+    if (this.zoomButton) {
+      this.zoomButton.addEventListener("click", () => {
+        this.openZoomModal();
+      });
+    }
+
+    // Close modal on close button click
+    if (this.zoomCloseBtn) {
+      this.zoomCloseBtn.addEventListener("click", () => {
+        this.closeZoomModal();
+      });
+    }
+
+    // Close modal on backdrop click
+    if (this.zoomModal) {
+      this.zoomModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the image
+        if (e.target === this.zoomModal) {
+          this.closeZoomModal();
+        }
+      });
+    }
+
+    // A missing reward image falls back to the default, then to a message
+    if (this.zoomImage) {
+      this.zoomImage.addEventListener("error", () => {
+        this.missingImages.add(this.zoomImage.getAttribute("src"));
+        this.showZoomImage();
+        this.updateRewardImage();
+      });
+    }
+
+    // Close modal on ESC key
+    document.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" &&
+        this.zoomModal &&
+        this.zoomModal.classList.contains("active")
+      ) {
+        this.closeZoomModal();
+      }
+    });
+  }
+
+  setupLeaderboardControls() {
+    if (this.leaderboardButton) {
+      this.leaderboardButton.addEventListener("click", () => {
+        this.openLeaderboard();
+      });
+    }
+
+    if (this.leaderboardCloseBtn) {
+      this.leaderboardCloseBtn.addEventListener("click", () => {
+        this.closeLeaderboard();
+      });
+    }
+
+    if (this.leaderboardClearBtn) {
+      this.leaderboardClearBtn.addEventListener("click", () => {
+        const size = this.leaderboardSize;
+        const difficulty = this.leaderboardDifficulty;
+        const name = `${size} × ${size} ${difficulty}`;
+        if (window.confirm(`Clear the ${name} leaderboard?`)) {
+          this.leaderboard.clear(size, difficulty);
+          this.renderLeaderboard();
+        }
+      });
+    }
+
+    if (this.leaderboardSizeSelect) {
+      this.leaderboardSizeSelect.addEventListener("change", () => {
+        // Security: Validate the board size from the select
+        this.leaderboardSize = this.validateSize(
+          this.leaderboardSizeSelect.value
+        );
+        this.renderLeaderboard();
+      });
+    }
+
+    document.querySelectorAll(".leaderboard-tab").forEach((tab) => {
+      tab.addEventListener("click", () => {
+        // Security: Validate the difficulty value from data attribute
+        const difficulty = tab.getAttribute("data-difficulty");
+        if (this.validateDifficulty(difficulty) === difficulty) {
+          this.leaderboardDifficulty = difficulty;
+          this.renderLeaderboard();
+        }
+      });
+    });
+
+    document.querySelectorAll(".leaderboard-sort").forEach((button) => {
+      button.addEventListener("click", () => {
+        // Security: Only sort by known columns
+        const key = button.getAttribute("data-sort");
+        if (!["score", "maxTile", "moves", "duration", "date"].includes(key)) {
+          return;
+        }
+
+        // Clicking the active column flips its order
+        const sort = this.leaderboardSort;
+        this.leaderboardSort = {
+          key,
+          descending: sort.key === key ? !sort.descending : true,
+        };
+        this.renderLeaderboard();
+      });
+    });
+
+    if (this.leaderboardModal) {
+      this.leaderboardModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the panel
+        if (e.target === this.leaderboardModal) {
+          this.closeLeaderboard();
+        }
+      });
+    }
+
+    document.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" &&
+        this.leaderboardModal &&
+        this.leaderboardModal.classList.contains("active")
+      ) {
+        this.closeLeaderboard();
+      }
+    });
+  }
+
+  /**
+   * Put the current game on the leaderboard if it has any moves
+   * Called when the game ends and when it is abandoned for a new one
+   */
+  recordGameResult() {
+    if (this.resultRecorded || this.moveLog.length === 0) return;
+    // Marked first so no mode records the same ending twice
+    this.resultRecorded = true;
+    this.recordStats();
+    // Autoplayed games only count towards the statistics
+    if (this.assisted) return;
+    if (this.mode === "daily") this.recordDailyResult();
+    // Challenge modes keep their own records instead
+    if (this.mode !== "classic") return;
+
+    this.leaderboard.record(this.size, this.difficulty, {
+      id: `${this.seed}-${this.startedAt}`,
+      score: this.score,
+      maxTile: this.engine.getMaxTile(),
+      moves: this.moveLog.length,
+      duration: this.lastMoveAt - this.startedAt,
+      size: this.size,
+      date: new Date(this.lastMoveAt).toISOString(),
+      reachedTarget: this.isMilestoneUnlockedInGame,
+    });
+  }
+
+  /**
+   * Add the current game to the statistics, whatever the mode
+   */
+  recordStats() {
+    // Replaying the log counts merges made before an undo or a reload too
+    const merges = this.getReplay().countMerges();
+    if (!merges) return;
+
+    const directions = { up: 0, down: 0, left: 0, right: 0 };
+    this.moveLog.forEach((direction) => {
+      directions[direction]++;
+    });
+
+    this.stats.record({
+      id: `${this.seed}-${this.startedAt}`,
+      date: new Date(this.lastMoveAt).toISOString(),
+      mode: this.mode,
+      difficulty: this.difficulty,
+      size: this.size,
+      score: this.score,
+      maxTile: this.engine.getMaxTile(),
+      moves: this.moveLog.length,
+      duration: this.lastMoveAt - this.startedAt,
+      won: this.gameWon,
+      merges,
+      directions,
+    });
+  }
+
+  /**
+   * Save the first finished or abandoned attempt at a daily puzzle
+   * Later attempts at the same puzzle are practice and leave the result alone
+   */
+  recordDailyResult() {
+    if (!DailyChallenge.getDateFromSeed(this.seed)) return;
+
+    this.daily.record(this.seed, {
+      score: this.score,
+      maxTile: this.engine.getMaxTile(),
+      moves: this.moveLog.length,
+      size: this.size,
+      difficulty: this.difficulty,
+      won: this.gameWon,
+    });
+    this.updateModeHud();
+  }
+
+  /**
+   * Seed code of today's daily puzzle at the current size and difficulty
+   * @returns {string}
+   */
+  getDailySeed() {
+    return DailyChallenge.getSeed(
+      DailyChallenge.getDateKey(),
+      this.size,
+      this.difficulty
+    );
+  }
+
+  /**
+   * Whether the current daily game is (or was) the day's scored attempt
+   * @returns {boolean}
+   */
+  isDailyScored() {
+    const result = this.daily.get(this.seed);
+    if (!result) return true;
+
+    // A finished game matching the saved result is the one that was scored
+    return (
+      this.gameOver &&
+      result.score === this.score &&
+      result.moves === this.moveLog.length
+    );
+  }
+
+  setupDailyControls() {
+    if (this.dailyButton) {
+      this.dailyButton.addEventListener("click", () => {
+        this.openDaily();
+      });
+    }
+
+    if (this.dailyCloseBtn) {
+      this.dailyCloseBtn.addEventListener("click", () => {
+        this.closeDaily();
+      });
+    }
+
+    if (this.dailyPlayButton) {
+      this.dailyPlayButton.addEventListener("click", () => {
+        this.closeDaily();
+        // Keep a daily game already in progress rather than restarting it
+        if (this.mode !== "daily" || this.seed !== this.getDailySeed()) {
+          this.setMode("daily");
+        }
+      });
+    }
+
+    if (this.dailyCopyButton) {
+      this.dailyCopyButton.addEventListener("click", () => {
+        this.copyDailySummary();
+      });
+    }
+
+    if (this.dailyModal) {
+      this.dailyModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the panel
+        if (e.target === this.dailyModal) {
+          this.closeDaily();
+        }
+      });
+    }
+
+    document.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" &&
+        this.dailyModal &&
+        this.dailyModal.classList.contains("active")
+      ) {
+        this.closeDaily();
+      }
+    });
+  }
+
+  setupStatsControls() {
+    if (this.statsButton) {
+      this.statsButton.addEventListener("click", () => {
+        this.openStats();
+      });
+    }
+
+    if (this.statsCloseBtn) {
+      this.statsCloseBtn.addEventListener("click", () => {
+        this.closeStats();
+      });
+    }
+
+    if (this.statsJsonButton) {
+      this.statsJsonButton.addEventListener("click", () => {
+        const json = JSON.stringify(this.stats, null, 2);
+        this.downloadFile(json, "application/json", "2048-stats.json");
+      });
+    }
+
+    if (this.statsCsvButton) {
+      this.statsCsvButton.addEventListener("click", () => {
+        this.downloadFile(this.stats.toCSV(), "text/csv", "2048-stats.csv");
+      });
+    }
+
+    if (this.statsClearBtn) {
+      this.statsClearBtn.addEventListener("click", () => {
+        if (window.confirm("Reset all statistics?")) {
+          this.stats.clear();
+          this.renderStats();
+        }
+      });
+    }
+
+    if (this.statsModal) {
+      this.statsModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the panel
+        if (e.target === this.statsModal) {
+          this.closeStats();
+        }
+      });
+    }
+
+    document.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" &&
+        this.statsModal &&
+        this.statsModal.classList.contains("active")
+      ) {
+        this.closeStats();
+      }
+    });
+  }
+
+  openDaily() {
+    if (!this.dailyModal) return;
+
+    this.renderDaily();
+
+    this.dailyModal.classList.add("active");
+    this.dailyModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.dailyCloseBtn);
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = "hidden";
+  }
+
+  closeDaily() {
+    if (!this.dailyModal) return;
+
+    this.dailyModal.classList.remove("active");
+    this.dailyModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
+
+    // Restore body scroll
+    document.body.style.overflow = "";
+  }
+
+  /**
+   * Fill the daily panel with the streak, the summary of today's puzzle at
+   * the current size and difficulty, and past results
+   */
+  renderDaily() {
+    const summary = this.daily.getSummary(this.getDailySeed());
+    const streak = this.daily.getStreak();
+
+    // Security: Use textContent for safe DOM updates
+    if (this.dailyStreakElement) {
+      this.dailyStreakElement.textContent = `🔥 ${streak}-day streak`;
+    }
+    if (this.dailySummaryElement) {
+      this.dailySummaryElement.textContent = summary || "";
+    }
+    if (this.dailyPlayButton) {
+      this.dailyPlayButton.textContent = summary
+        ? "Practice today's puzzle"
+        : "Play today's puzzle";
+    }
+    if (this.dailyCopyButton) {
+      this.dailyCopyButton.disabled = !summary;
+    }
+
+    if (!this.dailyBody) return;
+
+    const seeds = this.daily.getSeeds();
+    if (this.dailyEmpty) this.dailyEmpty.hidden = seeds.length > 0;
+
+    // Security: Build rows with textContent rather than innerHTML
+    this.dailyBody.textContent = "";
+    seeds.forEach((seed) => {
+      const result = this.daily.get(seed);
+      const cells = [
+        DailyChallenge.getDateFromSeed(seed),
+        `${result.difficulty} ${result.size}×${result.size}`,
+        result.score,
+        result.maxTile,
+        result.moves,
+      ];
+
+      const row = document.createElement("tr");
+      cells.forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value;
+        row.appendChild(cell);
+      });
+      this.dailyBody.appendChild(row);
+    });
+  }
+
+  /**
+   * Copy the spoiler-free summary of today's puzzle at the current size and
+   * difficulty to the clipboard, falling back to a prompt
+   */
+  copyDailySummary() {
+    const summary = this.daily.getSummary(this.getDailySeed());
+    if (!summary) return;
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(summary)
+        .then(() => {
+          if (this.dailyCopyButton) {
+            this.dailyCopyButton.textContent = "Copied!";
+            setTimeout(() => {
+              this.dailyCopyButton.textContent = "Copy summary";
+            }, 1500);
+          }
+        })
+        .catch(() => window.prompt("Copy this summary:", summary));
+    } else {
+      window.prompt("Copy this summary:", summary);
+    }
+  }
+
+  setupRaceControls() {
+    if (this.raceButton) {
+      this.raceButton.addEventListener("click", () => {
+        this.openRace();
+      });
+    }
+
+    if (this.raceCloseBtn) {
+      this.raceCloseBtn.addEventListener("click", () => {
+        this.closeRace();
+      });
+    }
+
+    if (this.raceNewBtn) {
+      this.raceNewBtn.addEventListener("click", () => {
+        this.startRace();
+      });
+    }
+
+    if (this.raceModal) {
+      this.raceModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the panel
+        if (e.target === this.raceModal) {
+          this.closeRace();
+        }
+      });
+    }
+
+    document.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" &&
+        this.raceModal &&
+        this.raceModal.classList.contains("active")
+      ) {
+        this.closeRace();
+      }
+    });
+  }
+
+  /**
+   * Start a race on a new seed with the current board size and difficulty
+   */
+  startRace() {
+    this.race.start({
+      seed: SeededRandom.generateSeed(),
+      size: this.size,
+      rules: this.getRules(),
+      reducedMotion: this.reducedMotion,
+    });
+  }
+
+  openRace() {
+    if (!this.raceModal) return;
+
+    this.stopAutoplay();
+    this.startRace();
+
+    this.raceModal.classList.add("active");
+    this.raceModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.raceCloseBtn);
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = "hidden";
+  }
+
+  closeRace() {
+    if (!this.raceModal) return;
+
+    this.race.stop();
+    this.raceModal.classList.remove("active");
+    this.raceModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
+
+    // Restore body scroll
+    document.body.style.overflow = "";
+  }
+
+  setupVersusControls() {
+    if (this.versusButton) {
+      this.versusButton.addEventListener("click", () => {
+        this.openVersus();
+      });
+    }
+
+    if (this.versusCloseBtn) {
+      this.versusCloseBtn.addEventListener("click", () => {
+        this.closeVersus();
+      });
+    }
+
+    if (this.versusSignallingSelect) {
+      this.versusSignallingSelect.addEventListener("change", () => {
+        this.versusServer.hidden =
+          this.versusSignallingSelect.value !== "websocket";
+      });
+    }
+
+    if (this.versusHostBtn) {
+      this.versusHostBtn.addEventListener("click", () => {
+        this.startVersus("host");
+      });
+    }
+
+    if (this.versusJoinBtn) {
+      this.versusJoinBtn.addEventListener("click", () => {
+        this.startVersus("guest");
+      });
+    }
+
+    if (this.versusCopyBtn) {
+      this.versusCopyBtn.addEventListener("click", () => {
+        this.copyVersusCode();
+      });
+    }
+
+    if (this.versusCodeBtn) {
+      this.versusCodeBtn.addEventListener("click", () => {
+        const code = this.versusRemoteCode.value;
+        const signalling = this.versusSignalling;
+        if (!(signalling instanceof CopyPasteSignalling)) return;
+        if (!signalling.receive(code)) {
+          this.versus.setStatus("That isn't a versus code from this game.");
+        }
+      });
+    }
+
+    if (this.versusRematchBtn) {
+      this.versusRematchBtn.addEventListener("click", () => {
+        this.versus.rematch();
+      });
+    }
+
+    if (this.versusLeaveBtn) {
+      this.versusLeaveBtn.addEventListener("click", () => {
+        this.leaveVersus();
+      });
+    }
+
+    if (this.versusModal) {
+      this.versusModal.addEventListener("click", (e) => {
+        // Only close if clicking the backdrop, not the panel
+        if (e.target === this.versusModal) {
+          this.closeVersus();
+        }
+      });
+    }
+
+    document.addEventListener("keydown", (e) => {
+      if (
+        e.key === "Escape" &&
+        this.versusModal &&
+        this.versusModal.classList.contains("active")
+      ) {
+        this.closeVersus();
+      }
+    });
+  }
+
+  /**
+   * Validates the signalling server address typed into the versus panel
+   * Security: Only ws: and wss: URLs are opened
+   * @param {string} value
+   * @returns {string|null} - The URL, or null if invalid
+   */
+  validateSignallingUrl(value) {
+    try {
+      const url = new URL(String(value).trim());
+      return ["ws:", "wss:"].includes(url.protocol) ? url.href : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Host or join a versus match with the connection method chosen
+   * @param {string} role - "host" or "guest"
+   */
+  startVersus(role) {
+    if (!this.versus.isSupported()) {
+      this.versus.setStatus("This browser can't make WebRTC connections.");
+      return;
+    }
+
+    let signalling;
+    if (this.versusSignallingSelect.value === "websocket") {
+      const url = this.validateSignallingUrl(this.versusServerInput.value);
+      const room = this.versusRoomInput.value.trim();
+      if (!url) {
+        this.versus.setStatus("Enter a ws:// or wss:// server address.");
+        return;
+      }
+      if (!/^[\w-]{1,32}$/.test(room)) {
+        this.versus.setStatus("Room names use letters, digits, - and _.");
+        return;
+      }
+      signalling = new WebSocketSignalling({ url, room });
+    } else {
+      signalling = new CopyPasteSignalling({
+        onCode: (code) => {
+          this.versusLocalCode.value = code;
+        },
+      });
+    }
+
+    this.versusSignalling = signalling;
+    this.versusLocalCode.value = "";
+    this.versusRemoteCode.value = "";
+    this.versusCodes.hidden = !(signalling instanceof CopyPasteSignalling);
+    this.versusRematchBtn.hidden = role !== "host";
+
+    if (role === "host") {
+      this.versus.host(signalling, {
+        size: this.size,
+        difficulty: this.difficulty,
+      });
+    } else {
+      this.versus.join(signalling);
+    }
+  }
+
+  /**
+   * Copy the local offer or answer code, falling back to selecting it
+   */
+  copyVersusCode() {
+    const code = this.versusLocalCode.value;
+    if (!code) return;
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(code)
+        .then(() => {
+          this.versusCopyBtn.textContent = "Copied!";
+          setTimeout(() => {
+            this.versusCopyBtn.textContent = "Copy code";
+          }, 1500);
+        })
+        .catch(() => this.versusLocalCode.select());
+    } else {
+      this.versusLocalCode.select();
+    }
+  }
+
+  /**
+   * End any versus match and reset the panel
+   */
+  leaveVersus() {
+    this.versus.leave();
+    this.versusSignalling = null;
+    if (this.versusCodes) this.versusCodes.hidden = true;
+    if (this.versusRematchBtn) this.versusRematchBtn.hidden = true;
+  }
+
+  openVersus() {
+    if (!this.versusModal) return;
+
+    this.stopAutoplay();
+    this.versusModal.classList.add("active");
+    this.versusModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.versusCloseBtn);
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = "hidden";
+  }
+
+  closeVersus() {
+    if (!this.versusModal) return;
+
+    this.leaveVersus();
+    this.versusModal.classList.remove("active");
+    this.versusModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
+
+    // Restore body scroll
+    document.body.style.overflow = "";
+  }
+
+  setupUpdateControls() {
+    if (this.updateReloadBtn) {
+      this.updateReloadBtn.addEventListener("click", () => {
+        this.updates.apply();
+      });
+    }
+
+    if (this.updateDismissBtn) {
+      this.updateDismissBtn.addEventListener("click", () => {
+        this.updateNotice.hidden = true;
+      });
+    }
+
+    this.updates.register();
+  }
+
+  /**
+   * Offer the new version that has been downloaded in the background
+   * The game in progress is saved after every move, so reloading keeps it
+   */
+  showUpdateNotice() {
+    if (!this.updateNotice) return;
+    this.updateNotice.hidden = false;
+  }
+
+  openStats() {
+    if (!this.statsModal) return;
+
+    this.renderStats();
+
+    this.statsModal.classList.add("active");
+    this.statsModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.statsCloseBtn);
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = "hidden";
+  }
+
+  closeStats() {
+    if (!this.statsModal) return;
+
+    this.statsModal.classList.remove("active");
+    this.statsModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
+
+    // Restore body scroll
+    document.body.style.overflow = "";
+  }
+
+  /**
+   * Fill the statistics panel with lifetime numbers and charts
+   */
+  renderStats() {
+    const summary = this.stats.getSummary();
+    const minutes = Math.floor(summary.duration / 60000);
+    const percent = (part, whole) =>
+      whole ? `${Math.round((part / whole) * 100)}%` : "—";
+    const values = {
+      "stats-games": summary.games,
+      "stats-win-rate": percent(summary.wins, summary.games),
+      "stats-average-score": summary.averageScore,
+      "stats-average-moves": summary.averageMoves,
+      "stats-time-played": `${Math.floor(minutes / 60)}h ${minutes % 60}m`,
+    };
+    // Security: Use textContent for safe DOM updates
+    Object.keys(values).forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.textContent = values[id];
+    });
+    if (this.statsEmpty) this.statsEmpty.hidden = summary.games > 0;
+
+    // Every chart stays empty until the first game is recorded
+    const played = summary.games > 0;
+    const winRates = this.stats.getWinRates().map((entry) => ({
+      label: entry.difficulty,
+      value: entry.games ? entry.wins / entry.games : 0,
+      text: percent(entry.wins, entry.games),
+    }));
+    const tiles = this.stats.getTileCounts("maxTiles").map((entry) => ({
+      label: String(entry.value),
+      value: entry.count,
+      text: String(entry.count),
+    }));
+    const merges = this.stats.getTileCounts("merges").map((entry) => ({
+      label: String(entry.value),
+      value: entry.count,
+      text: String(entry.count),
+    }));
+    const directions = this.stats.getDirections();
+    const totalMoves = Object.keys(directions).reduce(
+      (sum, direction) => sum + directions[direction],
+      0
+    );
+    const directionBars = Object.keys(directions).map((direction) => ({
+      label: direction,
+      value: directions[direction],
+      text: percent(directions[direction], totalMoves),
+    }));
+    const scores = this.stats.getRecentGames(50).map((game) => game.score);
+
+    const charts = {
+      "stats-win-chart": SvgChart.bars(winRates, "Win rate by difficulty"),
+      "stats-tile-chart": SvgChart.bars(tiles, "Highest tile per game"),
+      "stats-merge-chart": SvgChart.bars(merges, "Merges by tile value"),
+      "stats-direction-chart": SvgChart.bars(directionBars, "Moves by direction"),
+      "stats-score-chart": SvgChart.line(scores, "Score per game"),
+    };
+    Object.keys(charts).forEach((id) => {
+      const container = document.getElementById(id);
+      if (!container) return;
+      container.textContent = "";
+      if (played) container.appendChild(charts[id]);
+    });
+  }
+
+  openLeaderboard() {
+    if (!this.leaderboardModal) return;
+
+    this.leaderboardSize = this.size;
+    this.leaderboardDifficulty = this.difficulty;
+    this.renderLeaderboard();
+
+    this.leaderboardModal.classList.add("active");
+    this.leaderboardModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.leaderboardCloseBtn);
+
+    // Prevent body scroll on mobile
+    document.body.style.overflow = "hidden";
+  }
+
+  closeLeaderboard() {
+    if (!this.leaderboardModal) return;
+
+    this.leaderboardModal.classList.remove("active");
+    this.leaderboardModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
+
+    // Restore body scroll
+    document.body.style.overflow = "";
+  }
+
+  /**
+   * Fill the leaderboard table for the selected size, difficulty and sort order
+   */
+  renderLeaderboard() {
+    if (!this.leaderboardBody) return;
+
+    const { key, descending } = this.leaderboardSort;
+    const entries = this.leaderboard.getEntries(
+      this.leaderboardSize,
+      this.leaderboardDifficulty,
+      key,
+      descending
+    );
+
+    if (this.leaderboardSizeSelect) {
+      this.leaderboardSizeSelect.value = String(this.leaderboardSize);
+    }
+
+    document.querySelectorAll(".leaderboard-tab").forEach((tab) => {
+      const active =
+        tab.getAttribute("data-difficulty") === this.leaderboardDifficulty;
+      tab.classList.toggle("active", active);
+      tab.setAttribute("aria-selected", active ? "true" : "false");
+    });
+
+    document.querySelectorAll(".leaderboard-sort").forEach((button) => {
+      const active = button.getAttribute("data-sort") === key;
+      button.classList.toggle("active", active);
+      button.setAttribute(
+        "aria-sort",
+        active ? (descending ? "descending" : "ascending") : "none"
+      );
+    });
+
+    // Security: Build rows with textContent rather than innerHTML
+    this.leaderboardBody.textContent = "";
+    entries.forEach((entry, index) => {
+      const cells = [
+        index + 1,
+        entry.score,
+        entry.maxTile,
+        entry.moves,
+        entry.duration === null ? null : this.formatDuration(entry.duration),
+        entry.date === null ? null : new Date(entry.date).toLocaleDateString(),
+        entry.reachedTarget ? "✓" : "",
+      ];
+
+      const row = document.createElement("tr");
+      cells.forEach((value) => {
+        const cell = document.createElement("td");
+        cell.textContent = value === null ? "—" : value;
+        row.appendChild(cell);
+      });
+      this.leaderboardBody.appendChild(row);
+    });
+
+    if (this.leaderboardEmpty) {
+      this.leaderboardEmpty.hidden = entries.length > 0;
+    }
+  }
+
+  setupHistoryControls() {
+    if (this.undoButton) {
+      this.undoButton.addEventListener("click", () => {
+        this.undo();
+      });
+    }
+
+    if (this.redoButton) {
+      this.redoButton.addEventListener("click", () => {
+        this.redo();
+      });
+    }
+
+    this.updateHistoryButtons();
+  }
+
+  setupSeedControls() {
+    if (this.seedForm) {
+      this.seedForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.playSeed(this.seedInput ? this.seedInput.value : "");
+      });
+    }
+
+    if (this.copySeedLinkButton) {
+      this.copySeedLinkButton.addEventListener("click", () => {
+        this.copySeedLink();
+      });
+    }
+
+    this.updateSeedDisplay();
+  }
+
+  /**
+   * Start a new game from a seed code typed by the player
+   * @param {string} value - Raw input value
+   * @returns {boolean} - Whether the seed was valid and the game started
+   */
+  playSeed(value) {
+    // Security: Validate the seed before using it
+    const seed = this.validateSeed(value);
+
+    if (this.seedInput) {
+      this.seedInput.setAttribute("aria-invalid", seed ? "false" : "true");
+    }
+    if (!seed) return false;
+
+    if (this.seedInput) this.seedInput.value = "";
+    // Daily mode only plays the date's seed, so a chosen seed leaves it
+    if (this.mode === "daily") {
+      this.setMode("classic", seed);
+    } else {
+      this.init(seed);
+    }
+    return true;
+  }
+
+  /**
+   * Format a play time as m:ss
+   * @param {number} ms
+   * @returns {string}
+   */
+  formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${String(seconds % 60).padStart(2, "0")}`;
+  }
+
+  /**
+   * Build a link that starts this game's seed, size, difficulty and mode
+   * @returns {string}
+   */
+  getSeedLink() {
+    const url = new URL(window.location.href);
+    url.search = "";
+    url.hash = "";
+    url.searchParams.set("seed", this.seed);
+    url.searchParams.set("difficulty", this.difficulty);
+    url.searchParams.set("size", this.size);
+    url.searchParams.set("mode", this.mode);
+    return url.toString();
+  }
+
+  /**
+   * Copy the seed link to the clipboard, falling back to a prompt
+   */
+  copySeedLink() {
+    const link = this.getSeedLink();
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      navigator.clipboard
+        .writeText(link)
+        .then(() => {
+          if (this.copySeedLinkButton) {
+            this.copySeedLinkButton.textContent = "Copied!";
+            setTimeout(() => {
+              this.copySeedLinkButton.textContent = "Copy link";
+            }, 1500);
+          }
+        })
+        .catch(() => window.prompt("Copy this link:", link));
+    } else {
+      window.prompt("Copy this link:", link);
+    }
+  }
+
+  updateSeedDisplay() {
+    // Security: Use textContent for safe DOM updates
+    if (this.seedValueElement) {
+      this.seedValueElement.textContent = this.seed;
+    }
+  }
+
+  setupReplayControls() {
+    if (this.watchReplayButton) {
+      this.watchReplayButton.addEventListener("click", () => {
+        this.replayViewer.open(this.getReplay());
+      });
+    }
+
+    if (this.downloadReplayButton) {
+      this.downloadReplayButton.addEventListener("click", () => {
+        this.downloadReplay();
+      });
+    }
+
+    if (this.replayFileInput) {
+      this.replayFileInput.addEventListener("change", () => {
+        const file = this.replayFileInput.files[0];
+        if (file) this.loadReplayFile(file);
+        // Allow the same file to be chosen again
+        this.replayFileInput.value = "";
+      });
+    }
+  }
+
+  /**
+   * Recording of the current game so far
+   * @returns {Replay}
+   */
+  getReplay() {
+    return new Replay({
+      seed: this.seed,
+      size: this.size,
+      difficulty: this.difficulty,
+      rules: this.getRules(),
+      start: this.startSnapshot,
+      moves: this.moveLog,
+    });
+  }
+
+  /**
+   * Save the current game's replay as a JSON file
+   */
+  downloadReplay() {
+    const json = JSON.stringify(this.getReplay());
+    const filename = `2048-replay-${this.seed}.json`;
+    this.downloadFile(json, "application/json", filename);
+  }
+
+  /**
+   * Offer text as a file download
+   * @param {string} text - File contents
+   * @param {string} type - MIME type
+   * @param {string} filename
+   */
+  downloadFile(text, type, filename) {
+    const blob = new Blob([text], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Open a replay file chosen by the player
+   * @param {File} file
+   */
+  loadReplayFile(file) {
+    // Security: Refuse oversized files before reading them
+    if (file.size > 1024 * 1024) {
+      this.updateReplayStatus("Replay files must be under 1 MB.");
+      return;
+    }
+
+    file.text().then((text) => {
+      const replay = this.validateReplay(text);
+      if (replay && this.replayViewer.open(replay)) {
+        this.updateReplayStatus("");
+      } else {
+        this.updateReplayStatus("That file isn't a valid replay.");
+      }
+    });
+  }
+
+  updateReplayStatus(text) {
+    // Security: Use textContent for safe DOM updates
+    if (this.replayStatusElement) {
+      this.replayStatusElement.textContent = text;
+    }
+  }
+
+  setupSolverControls() {
+    if (this.hintButton) {
+      this.hintButton.addEventListener("click", () => {
+        this.showHint();
+      });
+    }
+
+    if (this.autoplayButton) {
+      this.autoplayButton.addEventListener("click", () => {
+        this.toggleAutoplay();
+      });
+    }
+
+    if (this.autoplaySpeedSelect) {
+      this.autoplaySpeedSelect.value = String(this.autoplayDelay);
+      this.autoplaySpeedSelect.addEventListener("change", () => {
+        // Security: Only accept the delays offered in the selector
+        const delay = parseInt(this.autoplaySpeedSelect.value, 10);
+        if ([500, 150, 30].includes(delay)) {
+          this.autoplayDelay = delay;
+        }
+      });
+    }
+  }
+
+  /**
+   * Whether the board can take a solver move right now
+   * @returns {boolean}
+   */
+  canUseSolver() {
+    // Not while the win message waits for Keep Going or Try Again
+    const waiting = this.gameWon && !this.keepPlaying;
+    return !this.replayViewer.isActive() && !this.gameOver && !waiting;
+  }
+
+  /**
+   * What the solver needs to know about the current game's rules
+   * @returns {{blockers: number[][], spawns: Array<{value: number, weight: number}>}}
+   */
+  getSolverRules() {
+    return {
+      blockers: this.engine.getBlockers(),
+      spawns: this.engine.rules.spawns,
+    };
+  }
+
+  /**
+   * Ask the solver for the best direction and highlight it on the board
+   */
+  showHint() {
+    if (!this.canUseSolver()) return;
+
+    // Ignore the answer if the board changed while the solver was thinking
+    const board = JSON.stringify(this.grid);
+    this.solver.suggest(this.grid, this.getSolverRules()).then((direction) => {
+      if (direction && board === JSON.stringify(this.grid)) {
+        this.highlightDirection(direction);
+      }
+    });
+  }
+
+  /**
+   * Show an arrow over the board for a suggested direction
+   * @param {string} direction - One of "up", "down", "left", "right"
+   */
+  highlightDirection(direction) {
+    if (!this.hintIndicator) return;
+
+    const arrows = { up: "↑", down: "↓", left: "←", right: "→" };
+
+    // Security: Use textContent for safe DOM updates
+    this.hintIndicator.textContent = arrows[direction];
+    this.hintIndicator.className = `hint-indicator active hint-${direction}`;
+    this.hintIndicator.setAttribute("aria-label", `Hint: move ${direction}`);
+
+    clearTimeout(this.hintTimer);
+    this.hintTimer = setTimeout(() => this.clearHint(), 1500);
+  }
+
+  clearHint() {
+    clearTimeout(this.hintTimer);
+    this.hintTimer = null;
+    if (this.hintIndicator) {
+      this.hintIndicator.className = "hint-indicator";
+      this.hintIndicator.textContent = "";
+      this.hintIndicator.removeAttribute("aria-label");
+    }
+  }
+
+  toggleAutoplay() {
+    if (this.autoplaying) {
+      this.stopAutoplay();
+    } else {
+      this.startAutoplay();
+    }
+  }
+
+  startAutoplay() {
+    if (this.autoplaying || !this.canUseSolver()) return;
+
+    if (!this.assisted) {
+      this.announce("Autoplayed games stay off the leaderboard, records and clue.");
+    }
+    this.autoplaying = true;
+    this.updateAutoplayButton();
+    this.autoplayStep();
+  }
+
+  stopAutoplay() {
+    this.autoplaying = false;
+    clearTimeout(this.autoplayTimer);
+    this.autoplayTimer = null;
+    this.updateAutoplayButton();
+  }
+
+  /**
+   * Play one solver move, then schedule the next until the game ends
+   */
+  autoplayStep() {
+    this.solver.suggest(this.grid, this.getSolverRules()).then((direction) => {
+      if (!this.autoplaying) return;
+
+      // Flagged before the move so a win on it doesn't count either
+      const canMove = direction && this.canUseSolver();
+      if (canMove) this.assisted = true;
+      const result = canMove ? this.move(direction) : null;
+      if (!result || !this.canUseSolver()) {
+        this.stopAutoplay();
+        return;
+      }
+
+      this.autoplayTimer = setTimeout(
+        () => this.autoplayStep(),
+        this.autoplayDelay
+      );
+    });
+  }
+
+  updateAutoplayButton() {
+    if (!this.autoplayButton) return;
+
+    this.autoplayButton.textContent = this.autoplaying
+      ? "⏸ Autoplay"
+      : "▶ Autoplay";
+    this.autoplayButton.setAttribute(
+      "aria-pressed",
+      this.autoplaying ? "true" : "false"
+    );
+  }
+
+  /**
+   * Get the number of undos the current difficulty allows per game
+   * @returns {number}
+   */
+  getUndoAllowance() {
+    // Challenge modes are played without undo
+    if (this.mode !== "classic") return 0;
+    return this.undoAllowances[this.difficulty];
+  }
+
+  /**
+   * Get the undos left in the current game
+   * @returns {number}
+   */
+  getUndosRemaining() {
+    return Math.max(0, this.getUndoAllowance() - this.undosUsed);
+  }
+
+  /**
+   * Step back one move, spending one undo from the difficulty's allowance
+   * @returns {boolean} - Whether the board changed
+   */
+  undo() {
+    if (this.replayViewer.isActive()) return false;
+    if (!this.history.canUndo() || this.getUndosRemaining() === 0) {
+      return false;
+    }
+
+    // A board that allowed a move can't be game over, and undoing the
+    // winning move takes the win back, so play reopens either way
+    this.play.applySnapshot(this.history.undo());
+    this.moveLog.pop();
+    this.undosUsed++;
+    this.hideMessage();
+
+    this.updateScore();
+    this.updateProgress();
+    this.updateHistoryButtons();
+    this.announce(`Move undone. Score ${this.score}.`);
+    this.saveGame();
+    return true;
+  }
+
+  /**
+   * Replay the most recently undone move, including its spawned tile
+   * @returns {boolean} - Whether the board changed
+   */
+  redo() {
+    if (this.replayViewer.isActive()) return false;
+
+    const state = this.history.redo();
+    if (!state) return false;
+
+    const wasWon = this.gameWon;
+    this.play.applySnapshot(state);
+    this.moveLog.push(state.direction);
+    this.updateScore();
+    this.updateProgress();
+    this.updateHistoryButtons();
+    this.announce(`Move redone. Score ${this.score}.`);
+
+    if (this.gameWon && !wasWon) {
+      this.showWin(!this.engine.isGameOver());
+    }
+    if (this.engine.isGameOver()) {
+      this.endGame();
+    }
+
+    this.saveGame();
+    return true;
+  }
+
+  /**
+   * Update undo/redo button state and the remaining undo count
+   */
+  updateHistoryButtons() {
+    const remaining = this.getUndosRemaining();
+
+    if (this.undoRemainingElement) {
+      this.undoRemainingElement.textContent = remaining;
+    }
+    if (this.undoButton) {
+      this.undoButton.disabled = !this.history.canUndo() || remaining === 0;
+    }
+    if (this.redoButton) {
+      this.redoButton.disabled = !this.history.canRedo();
+    }
+  }
+
+  /**
+   * Rules profile for a difficulty level, with its milestone as the win tile
+   * @param {string} [difficulty] - Validated difficulty, defaults to the current one
+   * @returns {Object} - Rules for GameEngine.setRules()
+   */
+  getRules(difficulty = this.difficulty) {
+    return {
+      ...this.rulesProfiles[difficulty],
+      winTile: this.milestoneTargets[difficulty],
+    };
+  }
+
+  /**
    * Get the milestone target for the current difficulty level
    * @returns {number} - Target tile value for current difficulty
    */
@@ -374,30 +2748,91 @@ class Game {
     return this.milestoneTargets[this.difficulty] || 2048;
   }
 
+  /**
+   * Tile that unlocks the current difficulty's clue, from the reward manifest
+   * @returns {number}
+   */
+  getUnlockTile() {
+    return this.rewards.get(this.difficulty).unlockTile;
+  }
+
   /**
    * Update zoom button state based on milestone achievement
    */
   updateZoomButton() {
     if (!this.zoomButton) return;
 
-    const target = this.getMilestoneTarget();
+    const target = this.getUnlockTile();
 
     // Update target value in progress text
     if (this.targetValueElement) {
       this.targetValueElement.textContent = target;
     }
 
-    // Update button state
-    if (this.isMilestoneUnlockedInGame) {
+    // Update button state from the furthest reveal on this difficulty
+    const { revealed, total } = this.getClueReveal();
+    if (revealed === total) {
       // Unlocked state
       this.zoomButton.disabled = false;
       this.zoomBtnIcon.textContent = "🔍";
-      this.zoomBtnText.textContent = "Englarge image for clue";
+      this.zoomBtnText.textContent = "Enlarge image for clue";
+    } else if (revealed > 0) {
+      // Partly revealed state
+      this.zoomButton.disabled = false;
+      this.zoomBtnIcon.textContent = "🧩";
+      this.zoomBtnText.textContent = `Peek at clue (${revealed}/${total})`;
     } else {
       // Locked state
       this.zoomButton.disabled = true;
       this.zoomBtnIcon.textContent = "🔒";
-      this.zoomBtnText.innerHTML = `Locked - Reach <span id="zoom-target">${target}</span> for clue`;
+
+      // Security: Build the label with textContent; the target comes from the manifest
+      const targetSpan = document.createElement("span");
+      targetSpan.id = "zoom-target";
+      targetSpan.textContent = target;
+      this.zoomBtnText.textContent = "Locked - Reach ";
+      this.zoomBtnText.appendChild(targetSpan);
+      this.zoomBtnText.appendChild(document.createTextNode(" for clue"));
+    }
+  }
+
+  /**
+   * How much of the current difficulty's clue has been revealed
+   * Each progress-bar section below the unlock tile reveals one part of the
+   * image and the unlock tile itself reveals the last
+   * @returns {{revealed: number, total: number}}
+   */
+  getClueReveal() {
+    const unlockTile = this.getUnlockTile();
+    const reached = this.clueProgress.get(this.difficulty);
+
+    // Only the fixed sections, so the count doesn't change as the bar grows
+    const stages = Array.from(
+      document.querySelectorAll(".progress-section:not(.progress-extra)")
+    )
+      .map((section) => parseInt(section.getAttribute("data-value"), 10))
+      .filter((value) => value < unlockTile);
+    stages.push(unlockTile);
+
+    return {
+      revealed: stages.filter((value) => value <= reached).length,
+      total: stages.length,
+    };
+  }
+
+  /**
+   * Save a further reveal of the clue when the board gets there
+   * @param {number} maxTile - Current highest tile value on board
+   */
+  recordClueProgress(maxTile) {
+    // Watching a replay or letting autoplay play never reveals the clue
+    if (this.replayViewer.isActive() || this.assisted) return;
+
+    if (this.clueProgress.submit(this.difficulty, maxTile)) {
+      this.updateZoomButton();
+      if (this.zoomModal && this.zoomModal.classList.contains("active")) {
+        this.renderClueReveal();
+      }
     }
   }
 
@@ -406,7 +2841,10 @@ class Game {
    * @param {number} maxTile - Current highest tile value on board
    */
   checkAndUnlockMilestone(maxTile) {
-    const target = this.getMilestoneTarget();
+    // Watching a replay or letting autoplay play never unlocks the clue
+    if (this.replayViewer.isActive() || this.assisted) return;
+
+    const target = this.getUnlockTile();
 
     // If milestone reached and not yet unlocked in this game
     if (maxTile >= target && !this.isMilestoneUnlockedInGame) {
@@ -416,23 +2854,63 @@ class Game {
   }
 
   /**
-   * Open the zoom modal with current progress bar image
+   * Open the zoom modal with the current difficulty's reward and caption
    */
   openZoomModal() {
     if (!this.zoomModal || !this.zoomImage) return;
 
-    // Set the image source to current difficulty's progress bar
-    const imageSrc = `assets/progress-bar-${this.difficulty}.png`;
-    this.zoomImage.src = imageSrc;
+    this.renderClueReveal();
+    this.showZoomImage();
 
     // Show modal
     this.zoomModal.classList.add("active");
     this.zoomModal.setAttribute("aria-hidden", "false");
+    this.focusDialog(this.zoomCloseBtn);
 
     // Prevent body scroll on mobile
     document.body.style.overflow = "hidden";
   }
 
+  /**
+   * Cover the parts of the zoomed image that haven't been revealed yet
+   * The caption is the clue itself, so it only shows once all of it is
+   */
+  renderClueReveal() {
+    const reward = this.rewards.get(this.difficulty);
+    const { revealed, total } = this.getClueReveal();
+    const complete = revealed === total;
+
+    this.zoomImage.alt = complete
+      ? reward.alt
+      : `${reward.alt} (${revealed} of ${total} parts revealed)`;
+    if (this.zoomCaption) {
+      // Security: Use textContent for safe DOM updates
+      this.zoomCaption.textContent = complete ? reward.caption : "";
+    }
+    if (!this.zoomCovers) return;
+
+    this.zoomCovers.textContent = "";
+    for (let part = 0; part < total; part++) {
+      const cover = document.createElement("div");
+      cover.className = "zoom-cover";
+      cover.classList.toggle("revealed", part < revealed);
+      this.zoomCovers.appendChild(cover);
+    }
+  }
+
+  /**
+   * Show the reward image in the zoom modal, or a notice if none loads
+   */
+  showZoomImage() {
+    const image = this.getRewardImage();
+    this.zoomImage.hidden = !image;
+    if (this.zoomCovers) this.zoomCovers.hidden = !image;
+    if (this.zoomFallback) this.zoomFallback.hidden = Boolean(image);
+    if (image && this.zoomImage.getAttribute("src") !== image) {
+      this.zoomImage.src = image;
+    }
+  }
+
   /**
    * Close the zoom modal
    */
@@ -441,263 +2919,138 @@ class Game {
 
     this.zoomModal.classList.remove("active");
     this.zoomModal.setAttribute("aria-hidden", "true");
+    this.restoreFocus();
 
     // Restore body scroll
     document.body.style.overflow = "";
   }
 
-  addRandomTile() {
-    const emptyCells = [];
-    for (let r = 0; r < this.size; r++) {
-      for (let c = 0; c < this.size; c++) {
-        if (this.grid[r][c] === 0) {
-          emptyCells.push({ r, c });
-        }
-      }
-    }
-
-    if (emptyCells.length > 0) {
-      const { r, c } =
-        emptyCells[Math.floor(Math.random() * emptyCells.length)];
-      // 90% chance of 2, 10% chance of 4
-      this.grid[r][c] = Math.random() < 0.9 ? 2 : 4;
-      return true;
-    }
-    return false;
-  }
-
   move(direction) {
-    let moved = false;
-
-    if (direction === "left") {
-      moved = this.moveLeft();
-    } else if (direction === "right") {
-      moved = this.moveRight();
-    } else if (direction === "up") {
-      moved = this.moveUp();
-    } else if (direction === "down") {
-      moved = this.moveDown();
-    }
-
-    if (moved) {
-      this.addRandomTile();
-      this.render();
+    // The board shows a recording while a replay is open
+    if (this.replayViewer.isActive()) return null;
+
+    // Challenge limits end the game even while moves are still possible
+    if (this.isOutOfMoves() || this.isOutOfTime()) return null;
+
+    const wasWon = this.gameWon;
+    const highestTile = this.play.highestTile;
+    const result = this.play.move(direction);
+
+    if (result && result.moved) {
+      this.clearHint();
+      // Keep the direction with the snapshot so redo can re-record it
+      this.history.push({ ...this.play.getSnapshot(), direction });
+      this.moveLog.push(direction);
+      this.lastMoveAt = Date.now();
+      if (this.startedAt === null) this.startedAt = this.lastMoveAt;
+      // A game continued after undoing its game over is recorded again later
+      this.resultRecorded = false;
+      this.updateHistoryButtons();
       this.updateScore();
       this.updateProgress();
+      this.updateModeHud();
+      this.announce(this.describeMove(result));
 
-      if (this.hasWon() && !this.gameWon) {
-        this.gameWon = true;
-        this.showMessage("You Win!", "Congratulations! You reached 2048!");
+      if (this.gameWon && !wasWon) {
+        this.showWin(!result.over);
+      } else if (this.play.highestTile > highestTile) {
+        this.celebrateMilestone(this.play.highestTile);
       }
 
-      if (this.isGameOver()) {
-        this.gameOver = true;
-        this.showMessage("Game Over!", "No more moves available.");
-      }
-    }
-  }
-
-  moveLeft() {
-    let moved = false;
-    for (let r = 0; r < this.size; r++) {
-      const row = this.grid[r].filter((cell) => cell !== 0);
-      const newRow = [];
-
-      for (let i = 0; i < row.length; i++) {
-        if (i < row.length - 1 && row[i] === row[i + 1]) {
-          newRow.push(row[i] * 2);
-          this.score += row[i] * 2;
-          i++;
-        } else {
-          newRow.push(row[i]);
-        }
-      }
-
-      while (newRow.length < this.size) {
-        newRow.push(0);
+      if (result.over || this.isOutOfMoves()) {
+        this.endGame();
       }
 
-      if (JSON.stringify(this.grid[r]) !== JSON.stringify(newRow)) {
-        moved = true;
-      }
-      this.grid[r] = newRow;
+      this.saveGame();
     }
-    return moved;
-  }
-
-  moveRight() {
-    let moved = false;
-    for (let r = 0; r < this.size; r++) {
-      const row = this.grid[r].filter((cell) => cell !== 0);
-      const newRow = [];
-
-      for (let i = row.length - 1; i >= 0; i--) {
-        if (i > 0 && row[i] === row[i - 1]) {
-          newRow.unshift(row[i] * 2);
-          this.score += row[i] * 2;
-          i--;
-        } else {
-          newRow.unshift(row[i]);
-        }
-      }
-
-      while (newRow.length < this.size) {
-        newRow.unshift(0);
-      }
 
-      if (JSON.stringify(this.grid[r]) !== JSON.stringify(newRow)) {
-        moved = true;
-      }
-      this.grid[r] = newRow;
-    }
-    return moved;
+    return result;
   }
 
-  moveUp() {
-    let moved = false;
-    for (let c = 0; c < this.size; c++) {
-      const column = [];
-      for (let r = 0; r < this.size; r++) {
-        if (this.grid[r][c] !== 0) {
-          column.push(this.grid[r][c]);
-        }
-      }
-
-      const newColumn = [];
-      for (let i = 0; i < column.length; i++) {
-        if (i < column.length - 1 && column[i] === column[i + 1]) {
-          newColumn.push(column[i] * 2);
-          this.score += column[i] * 2;
-          i++;
-        } else {
-          newColumn.push(column[i]);
-        }
-      }
-
-      while (newColumn.length < this.size) {
-        newColumn.push(0);
-      }
-
-      for (let r = 0; r < this.size; r++) {
-        if (this.grid[r][c] !== newColumn[r]) {
-          moved = true;
-        }
-        this.grid[r][c] = newColumn[r];
-      }
-    }
-    return moved;
+  /**
+   * Draw the board, animating a move's slides and merges if given one
+   * @param {Object} [result] - Return value of GameEngine.move()
+   */
+  render(result) {
+    this.board.render(this.engine, result);
   }
 
-  moveDown() {
-    let moved = false;
-    for (let c = 0; c < this.size; c++) {
-      const column = [];
-      for (let r = 0; r < this.size; r++) {
-        if (this.grid[r][c] !== 0) {
-          column.push(this.grid[r][c]);
-        }
-      }
-
-      const newColumn = [];
-      for (let i = column.length - 1; i >= 0; i--) {
-        if (i > 0 && column[i] === column[i - 1]) {
-          newColumn.unshift(column[i] * 2);
-          this.score += column[i] * 2;
-          i--;
-        } else {
-          newColumn.unshift(column[i]);
-        }
-      }
+  /**
+   * @param {number} r - Row index
+   * @param {number} c - Column index
+   * @returns {string} - Tile value, "empty" or "blocked"
+   */
+  describeCell(r, c) {
+    return this.board.describeCell(this.engine, r, c);
+  }
 
-      while (newColumn.length < this.size) {
-        newColumn.unshift(0);
-      }
+  /**
+   * Spoken summary of a move: direction, merges, new tile and score
+   * @param {Object} result - Return value of GameEngine.move()
+   * @returns {string}
+   */
+  describeMove(result) {
+    const parts = [`Moved ${result.direction}.`];
 
-      for (let r = 0; r < this.size; r++) {
-        if (this.grid[r][c] !== newColumn[r]) {
-          moved = true;
-        }
-        this.grid[r][c] = newColumn[r];
-      }
+    if (result.merges.length > 0) {
+      const values = result.merges.map((merge) => merge.value).join(", ");
+      parts.push(`Merged into ${values}.`);
     }
-    return moved;
-  }
-
-  hasWon() {
-    for (let r = 0; r < this.size; r++) {
-      for (let c = 0; c < this.size; c++) {
-        if (this.grid[r][c] === 2048) {
-          return true;
-        }
-      }
+    if (result.spawned) {
+      const { value, r, c } = result.spawned;
+      parts.push(`New ${value} at row ${r + 1}, column ${c + 1}.`);
     }
-    return false;
-  }
-
-  isGameOver() {
-    // Check for empty cells
-    for (let r = 0; r < this.size; r++) {
-      for (let c = 0; c < this.size; c++) {
-        if (this.grid[r][c] === 0) {
-          return false;
-        }
-      }
+    if (result.scoreGained > 0) {
+      parts.push(`Score ${this.score}, up ${result.scoreGained}.`);
     }
+    return parts.join(" ");
+  }
 
-    // Check for possible merges
+  /**
+   * Whole board read row by row, for the Describe board button and the B key
+   * @returns {string}
+   */
+  describeBoard() {
+    const rows = [];
     for (let r = 0; r < this.size; r++) {
+      const cells = [];
       for (let c = 0; c < this.size; c++) {
-        const current = this.grid[r][c];
-        if (c < this.size - 1 && current === this.grid[r][c + 1]) {
-          return false;
-        }
-        if (r < this.size - 1 && current === this.grid[r + 1][c]) {
-          return false;
-        }
+        cells.push(this.describeCell(r, c));
       }
+      rows.push(`Row ${r + 1}: ${cells.join(", ")}.`);
     }
 
-    return true;
+    const empty = this.engine.getEmptyCells().length;
+    return [
+      `${this.size} by ${this.size} board, score ${this.score}.`,
+      ...rows,
+      `Largest tile ${this.engine.getMaxTile()}, ${empty} empty cells.`,
+    ].join(" ");
   }
 
-  render() {
-    // Clear existing tiles
-    this.tileContainer.innerHTML = "";
-
-    for (let r = 0; r < this.size; r++) {
-      for (let c = 0; c < this.size; c++) {
-        const value = this.grid[r][c];
-        if (value !== 0) {
-          // Security: Create DOM elements safely without innerHTML injection
-          const tile = document.createElement("div");
-
-          // Use classList for safe class manipulation
-          const tileClass = value > 2048 ? "super" : value;
-          tile.className = `tile tile-${tileClass} tile-new`;
-
-          // Use textContent (not innerHTML) to prevent XSS if data were ever user-controlled
-          tile.textContent = value;
-
-          // Responsive tile positioning using CSS custom properties
-          tile.style.setProperty("--col-index", c);
-          tile.style.setProperty("--row-index", r);
-
-          this.tileContainer.appendChild(tile);
-        }
-      }
-    }
+  /**
+   * Read a message out through the live region
+   * @param {string} message
+   */
+  announce(message) {
+    if (!this.announcer) return;
+
+    this.pendingAnnouncements.push(message);
+    if (this.announceTimer) return;
+
+    // Clear first so a repeated message is still read out
+    this.announcer.textContent = "";
+    this.announceTimer = setTimeout(() => {
+      // Security: Use textContent for safe DOM updates
+      this.announcer.textContent = this.pendingAnnouncements.join(" ");
+      this.pendingAnnouncements = [];
+      this.announceTimer = null;
+    }, 50);
   }
 
   updateProgress() {
     // Find the highest tile value on the board
-    let maxTile = 0;
-    for (let r = 0; r < this.size; r++) {
-      for (let c = 0; c < this.size; c++) {
-        if (this.grid[r][c] > maxTile) {
-          maxTile = this.grid[r][c];
-        }
-      }
-    }
+    const maxTile = this.engine.getMaxTile();
 
     // Security: Use textContent to safely update display (prevents XSS)
     const currentMaxElement = document.getElementById("current-max");
@@ -706,6 +3059,7 @@ class Game {
     }
 
     // Update progress bar sections
+    this.extendProgressBar(maxTile);
     const sections = document.querySelectorAll(".progress-section");
     sections.forEach((section) => {
       const value = parseInt(section.getAttribute("data-value"), 10);
@@ -716,19 +3070,57 @@ class Game {
       }
     });
 
-    // Check if milestone reached and unlock zoom feature
+    // Reveal more of the clue, and check if milestone reached
+    this.recordClueProgress(maxTile);
     this.checkAndUnlockMilestone(maxTile);
   }
 
+  /**
+   * Grow the progress bar past 2048 as the board gets there, always showing
+   * the next doubling as a section still to reach, and shrink it back for a
+   * new game
+   * @param {number} maxTile - Current highest tile value on board
+   */
+  extendProgressBar(maxTile) {
+    if (!this.progressBar) return;
+
+    const end = maxTile >= this.PROGRESS_END ? maxTile * 2 : this.PROGRESS_END;
+    this.progressBar.querySelectorAll(".progress-extra").forEach((section) => {
+      if (parseInt(section.getAttribute("data-value"), 10) > end) {
+        section.remove();
+      }
+    });
+
+    const sections = this.progressBar.querySelectorAll(".progress-section");
+    const last = sections[sections.length - 1];
+    let value = parseInt(last.getAttribute("data-value"), 10) * 2;
+    for (; value <= end; value *= 2) {
+      const section = document.createElement("div");
+      section.className = "progress-section progress-extra";
+      section.setAttribute("data-value", value);
+      this.progressBar.appendChild(section);
+    }
+
+    // Security: Use textContent for safe DOM updates
+    if (this.progressTitle) this.progressTitle.textContent = `Journey to ${end}`;
+  }
+
   updateScore() {
     // Security: Use textContent for safe DOM updates
     this.scoreElement.textContent = this.score;
 
-    if (this.score > this.best) {
-      this.best = this.score;
+    // Replayed scores don't count towards the best score, and challenge
+    // modes keep their own records
+    if (this.replayViewer.isActive() || this.mode !== "classic") return;
+
+    // Measure against the best from before this game so undoing a move also
+    // withdraws any best score it set
+    const best = Math.max(this.bestAtGameStart, this.score);
+    if (best !== this.best) {
+      this.best = best;
       // Security: Store only validated numeric values in localStorage
       try {
-        localStorage.setItem("2048-best", this.best.toString());
+        localStorage.setItem(this.getBestKey(), this.best.toString());
       } catch (e) {
         // Handle localStorage quota exceeded or disabled scenarios gracefully
         console.warn("Unable to save best score:", e);
@@ -742,7 +3134,260 @@ class Game {
     this.bestElement.textContent = this.best;
   }
 
-  showMessage(title, text) {
+  /**
+   * Lock the board once no more moves are allowed, record the game and say why it ended
+   */
+  endGame() {
+    this.play.end();
+    this.stopModeTimer();
+    this.recordGameResult();
+    this.recordModeResult();
+    this.updateModeHud();
+    this.showMessage(...this.getGameOverMessage());
+  }
+
+  /**
+   * Show the win message on reaching the target
+   * @param {boolean} canContinue - Offer "Keep Going"
+   */
+  showWin(canContinue) {
+    // Time Attack is timed to the target, so its clock stops here
+    if (this.mode === "time-attack") {
+      this.stopModeTimer();
+      this.recordModeResult();
+      this.updateModeHud();
+    }
+    this.showMessage(...this.getWinMessage(), canContinue);
+  }
+
+  /**
+   * Title and text for reaching the target
+   * @returns {string[]}
+   */
+  getWinMessage() {
+    const target = this.getMilestoneTarget();
+
+    if (this.mode === "time-attack") {
+      const time = this.formatDuration(this.lastMoveAt - this.startedAt);
+      return ["You Win!", `You reached ${target} in ${time}!`];
+    }
+    return ["You Win!", `Congratulations! You reached ${target}!`];
+  }
+
+  /**
+   * Next tile to aim for: the target, then each doubling of the largest tile
+   * @returns {number}
+   */
+  getNextMilestone() {
+    const target = this.getMilestoneTarget();
+    const maxTile = this.engine.getMaxTile();
+    return maxTile < target ? target : maxTile * 2;
+  }
+
+  /**
+   * Celebrate each new largest tile once the target is behind the player
+   * @param {number} maxTile - New largest tile this game
+   */
+  celebrateMilestone(maxTile) {
+    if (!this.gameWon || this.replayViewer.isActive()) return;
+    if (maxTile <= this.getMilestoneTarget()) return;
+
+    const text =
+      maxTile >= this.PROGRESS_END * 4 ? "Legendary tile!" : "New milestone!";
+    this.announce(`${text} You made ${maxTile}.`);
+    if (!this.celebrationElement) return;
+
+    // Security: Use textContent for safe DOM updates
+    const tileClass = maxTile > this.board.MAX_STYLED_TILE ? "super" : maxTile;
+    this.celebrationTile.className = `celebration-tile tile-${tileClass}`;
+    this.celebrationTile.textContent = maxTile;
+    this.celebrationText.textContent = text;
+
+    // Restart the animation when milestones come in quick succession
+    this.celebrationElement.classList.remove("active");
+    void this.celebrationElement.offsetWidth;
+    this.celebrationElement.classList.add("active");
+
+    clearTimeout(this.celebrationTimer);
+    this.celebrationTimer = setTimeout(() => {
+      this.hideCelebration();
+    }, this.CELEBRATION_DURATION);
+  }
+
+  hideCelebration() {
+    clearTimeout(this.celebrationTimer);
+    this.celebrationTimer = null;
+    if (this.celebrationElement) {
+      this.celebrationElement.classList.remove("active");
+    }
+  }
+
+  /**
+   * Title and text for the end of a game, worded for its mode
+   * @returns {string[]}
+   */
+  getGameOverMessage() {
+    const moves = this.moveLog.length;
+
+    if (this.mode === "time-attack" && !this.gameWon) {
+      return [
+        "Time's Up!",
+        `You didn't reach ${this.getMilestoneTarget()} in time.`,
+      ];
+    }
+    if (this.mode === "move-budget") {
+      const title = this.isOutOfMoves() ? "Out of Moves!" : "Game Over!";
+      return [title, `You scored ${this.score} in ${moves} moves.`];
+    }
+    if (this.mode === "survival") {
+      return ["Game Over!", `You survived ${moves} moves.`];
+    }
+    if (this.mode === "daily") {
+      return [
+        "Game Over!",
+        this.isDailyScored()
+          ? "Today's result is saved. Share it from the Daily panel."
+          : "Practice run: only your first attempt each day is scored.",
+      ];
+    }
+    return ["Game Over!", "No more moves available."];
+  }
+
+  /**
+   * Whether a Move Budget game has used all its moves
+   * @returns {boolean}
+   */
+  isOutOfMoves() {
+    return (
+      this.mode === "move-budget" &&
+      this.moveLog.length >= this.modeSettings["move-budget"].moveLimit
+    );
+  }
+
+  /**
+   * Whether a Time Attack countdown ran out before the target was reached
+   * @returns {boolean}
+   */
+  isOutOfTime() {
+    return (
+      this.mode === "time-attack" && !this.gameWon && this.getTimeLeft() === 0
+    );
+  }
+
+  /**
+   * Time Attack countdown, which starts with the first move
+   * @returns {number} - ms left
+   */
+  getTimeLeft() {
+    const limit = this.modeSettings["time-attack"].timeLimit;
+    if (this.startedAt === null) return limit;
+
+    // The clock stops when the target is reached
+    const now = this.gameWon ? this.lastMoveAt : Date.now();
+    return Math.max(0, limit - (now - this.startedAt));
+  }
+
+  /**
+   * Key for the current difficulty and board size in the mode records
+   * @returns {string}
+   */
+  getModeRecordKey() {
+    return `${this.difficulty}-${this.size}x${this.size}`;
+  }
+
+  /**
+   * Submit the current game to its challenge mode's records
+   * Time Attack only counts once the target is reached
+   */
+  recordModeResult() {
+    if (this.assisted) return;
+    const key = this.getModeRecordKey();
+
+    if (this.mode === "time-attack" && this.gameWon) {
+      const time = this.lastMoveAt - this.startedAt;
+      this.modeRecords.submit(this.mode, key, time, true);
+    } else if (this.mode === "move-budget") {
+      this.modeRecords.submit(this.mode, key, this.score);
+    } else if (this.mode === "survival") {
+      this.modeRecords.submit(this.mode, key, this.moveLog.length);
+    }
+  }
+
+  /**
+   * Tick the Time Attack countdown while the game is running
+   */
+  startModeTimer() {
+    this.stopModeTimer();
+    if (this.mode !== "time-attack" || this.gameOver || this.gameWon) return;
+
+    this.modeTimer = setInterval(() => {
+      // The countdown carries on, unseen, while a replay owns the board
+      if (this.replayViewer.isActive()) return;
+
+      if (this.isOutOfTime()) {
+        this.stopAutoplay();
+        this.endGame();
+        this.saveGame();
+      } else {
+        this.updateModeHud();
+      }
+    }, 250);
+  }
+
+  stopModeTimer() {
+    if (this.modeTimer) {
+      clearInterval(this.modeTimer);
+      this.modeTimer = null;
+    }
+  }
+
+  /**
+   * Show the challenge mode's status and record next to the score
+   */
+  updateModeHud() {
+    if (!this.modeStatusBox || !this.modeRecordBox) return;
+
+    const challenge = this.mode !== "classic";
+    this.modeStatusBox.hidden = !challenge;
+    this.modeRecordBox.hidden = !challenge;
+    if (!challenge) return;
+
+    const record = this.modeRecords.get(this.mode, this.getModeRecordKey());
+    let status;
+    let recordTitle;
+    let recordText = record;
+
+    if (this.mode === "time-attack") {
+      status = ["Time", this.formatDuration(this.getTimeLeft())];
+      recordTitle = "Fastest";
+      if (record !== null) recordText = this.formatDuration(record);
+    } else if (this.mode === "move-budget") {
+      const limit = this.modeSettings["move-budget"].moveLimit;
+      status = ["Moves left", limit - this.moveLog.length];
+      recordTitle = "Top score";
+    } else if (this.mode === "daily") {
+      status = ["Daily", this.isDailyScored() ? "Scored" : "Practice"];
+      recordTitle = "Streak";
+      recordText = this.daily.getStreak();
+    } else {
+      status = ["Survived", this.moveLog.length];
+      recordTitle = "Longest";
+    }
+
+    // Security: Use textContent for safe DOM updates
+    this.modeStatusTitle.textContent = status[0];
+    this.modeStatusValue.textContent = status[1];
+    this.modeRecordTitle.textContent = recordTitle;
+    this.modeRecordValue.textContent = recordText === null ? "—" : recordText;
+  }
+
+  /**
+   * Show the message over the board
+   * @param {string} title
+   * @param {string} text
+   * @param {boolean} [canContinue=false] - Offer "Keep Going" as well as "Try Again"
+   */
+  showMessage(title, text, canContinue = false) {
     // Security: Use textContent to safely set message content
     const messageTitle = document.getElementById("message-title");
     const messageText = document.getElementById("message-text");
@@ -751,10 +3396,158 @@ class Game {
     if (messageText) messageText.textContent = text;
 
     this.gameMessage.classList.add(this.gameWon ? "game-won" : "game-over");
+    this.announce(`${title} ${text}`);
+
+    if (this.keepGoingButton) this.keepGoingButton.hidden = !canContinue;
+
+    // Move focus onto the message so keyboard users can act on it straight away
+    const button = canContinue ? this.keepGoingButton : this.tryAgainButton;
+    if (button) button.focus();
   }
 
   hideMessage() {
+    // Hand focus back to the board rather than letting it drop to the page
+    const hadFocus = this.gameMessage.contains(document.activeElement);
     this.gameMessage.classList.remove("game-won", "game-over");
+    if (hadFocus && this.gridContainer) this.gridContainer.focus();
+  }
+
+  setupAccessibility() {
+    if (this.describeBoardButton) {
+      this.describeBoardButton.addEventListener("click", () => {
+        this.announce(this.describeBoard());
+      });
+    }
+
+    if (this.reduceMotionToggle) {
+      this.reduceMotionToggle.checked = this.reducedMotion;
+      this.reduceMotionToggle.addEventListener("change", () => {
+        this.setReducedMotion(this.reduceMotionToggle.checked);
+
+        // Security: Store only a validated boolean string in localStorage
+        try {
+          localStorage.setItem(
+            "2048-reduced-motion",
+            String(this.reducedMotion)
+          );
+        } catch (e) {
+          console.warn("Unable to save motion setting:", e);
+        }
+      });
+    }
+
+    // Follow system changes until the player picks a setting themselves
+    if (this.motionQuery && this.motionQuery.addEventListener) {
+      this.motionQuery.addEventListener("change", () => {
+        if (localStorage.getItem("2048-reduced-motion") === null) {
+          this.setReducedMotion(this.motionQuery.matches);
+        }
+      });
+    }
+
+    if (this.themeSelect) {
+      this.themeSelect.value = this.theme;
+      this.themeSelect.addEventListener("change", () => {
+        this.theme = this.validateTheme(this.themeSelect.value);
+        this.applyTheme();
+
+        // Security: Store only a validated theme name in localStorage
+        try {
+          localStorage.setItem("2048-theme", this.theme);
+        } catch (e) {
+          console.warn("Unable to save theme:", e);
+        }
+      });
+    }
+
+    // "System" follows light/dark changes while the page is open
+    if (this.colorSchemeQuery && this.colorSchemeQuery.addEventListener) {
+      this.colorSchemeQuery.addEventListener("change", () => {
+        if (this.theme === "system") this.applyTheme();
+      });
+    }
+
+    // Keep Tab inside whichever dialog is open
+    document.addEventListener("keydown", (e) => {
+      if (e.key !== "Tab") return;
+
+      const dialog = document.querySelector(
+        ".progress-zoom-modal.active, .panel-modal.active"
+      );
+      if (dialog) this.trapFocus(e, dialog);
+    });
+  }
+
+  /**
+   * Turn reduced motion on or off for the page
+   * @param {boolean} reduced
+   */
+  setReducedMotion(reduced) {
+    this.reducedMotion = reduced;
+    this.board.reducedMotion = reduced;
+    this.versus.reducedMotion = reduced;
+    document.body.classList.toggle("reduce-motion", reduced);
+    if (this.reduceMotionToggle) this.reduceMotionToggle.checked = reduced;
+  }
+
+  /**
+   * Put the chosen palette on the page
+   * The CSS themes live on <html>'s data-theme attribute
+   */
+  applyTheme() {
+    let theme = this.theme;
+    if (theme === "system") {
+      const dark = this.colorSchemeQuery && this.colorSchemeQuery.matches;
+      theme = dark ? "dark" : "classic";
+    }
+    document.documentElement.setAttribute("data-theme", theme);
+    if (this.themeSelect) this.themeSelect.value = this.theme;
+  }
+
+  /**
+   * Wrap Tab and Shift+Tab around the focusable elements of a dialog
+   * @param {KeyboardEvent} e - The Tab keydown
+   * @param {HTMLElement} dialog
+   */
+  trapFocus(e, dialog) {
+    const focusable = Array.from(
+      dialog.querySelectorAll(
+        "button:not([disabled]), [href], input, select, [tabindex]:not([tabindex='-1'])"
+      )
+    );
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = dialog.contains(document.activeElement);
+
+    if (e.shiftKey && (document.activeElement === first || !inside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Remember where focus was and move it into a dialog that just opened
+   * @param {HTMLElement} [element] - Element in the dialog to focus
+   */
+  focusDialog(element) {
+    this.focusBeforeDialog = document.activeElement;
+    if (element) element.focus();
+  }
+
+  /**
+   * Give focus back to where it was before a dialog opened
+   */
+  restoreFocus() {
+    const previous = this.focusBeforeDialog;
+    this.focusBeforeDialog = null;
+    if (previous && previous.focus && document.body.contains(previous)) {
+      previous.focus();
+    }
   }
 
   restart() {
@@ -0,0 +1,121 @@
+/**
+ * 2048 Gamepad Input
+ * Polls connected controllers through the Gamepad API and turns the d-pad,
+ * left stick and a few face buttons into game commands
+ */
+
+class GamepadInput {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onCommand - Called with a command name ("up", "undo", …)
+   * @param {number} [options.deadzone=0.5] - Stick travel (0–1) ignored around the centre
+   */
+  constructor({ onCommand, deadzone = 0.5 }) {
+    this.onCommand = onCommand;
+    this.deadzone = deadzone;
+    this.frame = null;
+
+    // Buttons held on the last poll, per controller, so a press fires once
+    this.held = new Map();
+
+    // Standard mapping (https://w3c.github.io/gamepad/#remapping)
+    this.buttonMap = {
+      12: "up",
+      13: "down",
+      14: "left",
+      15: "right",
+      1: "undo", // B / Circle
+      3: "hint", // Y / Triangle
+      9: "newGame", // Start / Options
+    };
+
+    this.handleConnected = () => this.start();
+    this.handleDisconnected = (e) => {
+      this.held.delete(e.gamepad.index);
+      if (this.getGamepads().length === 0) this.stop();
+    };
+
+    if (!this.isSupported()) return;
+    window.addEventListener("gamepadconnected", this.handleConnected);
+    window.addEventListener("gamepaddisconnected", this.handleDisconnected);
+
+    // A controller connected before the page loaded shows up on first poll
+    if (this.getGamepads().length > 0) this.start();
+  }
+
+  isSupported() {
+    return typeof navigator !== "undefined" && "getGamepads" in navigator;
+  }
+
+  /**
+   * @returns {Gamepad[]} - Connected controllers
+   */
+  getGamepads() {
+    return Array.from(navigator.getGamepads()).filter(Boolean);
+  }
+
+  start() {
+    if (this.frame !== null) return;
+
+    const poll = () => {
+      this.poll();
+      this.frame = window.requestAnimationFrame(poll);
+    };
+    this.frame = window.requestAnimationFrame(poll);
+  }
+
+  stop() {
+    if (this.frame !== null) {
+      window.cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Fire a command for each control that became active since the last poll
+   */
+  poll() {
+    this.getGamepads().forEach((gamepad) => {
+      const previous = this.held.get(gamepad.index) || new Set();
+      const current = new Set();
+
+      Object.keys(this.buttonMap).forEach((index) => {
+        const button = gamepad.buttons[index];
+        if (button && button.pressed) current.add(this.buttonMap[index]);
+      });
+
+      const stick = this.getStickDirection(gamepad.axes[0], gamepad.axes[1]);
+      if (stick) current.add(stick);
+
+      current.forEach((command) => {
+        if (!previous.has(command)) this.onCommand(command);
+      });
+      this.held.set(gamepad.index, current);
+    });
+  }
+
+  /**
+   * Direction the left stick points in, along its stronger axis
+   * @param {number} x - Axis 0, -1 (left) to 1 (right)
+   * @param {number} y - Axis 1, -1 (up) to 1 (down)
+   * @returns {string|null} - null while the stick is inside the deadzone
+   */
+  getStickDirection(x = 0, y = 0) {
+    if (Math.max(Math.abs(x), Math.abs(y)) < this.deadzone) return null;
+
+    if (Math.abs(x) > Math.abs(y)) {
+      return x > 0 ? "right" : "left";
+    }
+    return y > 0 ? "down" : "up";
+  }
+
+  /**
+   * Stop polling and remove the connection listeners
+   */
+  destroy() {
+    this.stop();
+    if (!this.isSupported()) return;
+    window.removeEventListener("gamepadconnected", this.handleConnected);
+    window.removeEventListener("gamepaddisconnected", this.handleDisconnected);
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * 2048 Move History
+ * Linear undo/redo stack of board snapshots
+ */
+
+class MoveHistory {
+  constructor() {
+    this.states = [];
+    this.index = -1;
+  }
+
+  /**
+   * Drop all history and start again from a single state
+   * @param {Object} state - Board and generator position from
+   *   BoardGame.getSnapshot()
+   */
+  reset(state) {
+    this.states = [state];
+    this.index = 0;
+  }
+
+  /**
+   * Record the state after a move, discarding any redo branch
+   * @param {Object} state - BoardGame.getSnapshot() taken after the spawned
+   *   tile was placed
+   */
+  push(state) {
+    this.states.splice(this.index + 1);
+    this.states.push(state);
+    this.index = this.states.length - 1;
+  }
+
+  canUndo() {
+    return this.index > 0;
+  }
+
+  canRedo() {
+    return this.index < this.states.length - 1;
+  }
+
+  /**
+   * Step back one move
+   * @returns {Object|null} - Previous state, or null if already at the start
+   */
+  undo() {
+    if (!this.canUndo()) return null;
+    this.index--;
+    return this.states[this.index];
+  }
+
+  /**
+   * Step forward one undone move
+   * @returns {Object|null} - Next state, or null if there is nothing to redo
+   */
+  redo() {
+    if (!this.canRedo()) return null;
+    this.index++;
+    return this.states[this.index];
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = MoveHistory;
+}
@@ -0,0 +1,207 @@
+/**
+ * 2048 Leaderboard
+ * Top finished games for each board size and difficulty, kept in localStorage
+ */
+
+class Leaderboard {
+  /**
+   * @param {Object} options
+   * @param {number[]} options.sizes - Board sizes
+   * @param {string[]} options.difficulties - Difficulty levels; one table for
+   *   each size and difficulty
+   * @param {number} [options.limit=10] - Entries kept per table
+   * @param {string} [options.storageKey="2048-leaderboard"]
+   */
+  constructor({
+    sizes,
+    difficulties,
+    limit = 10,
+    storageKey = "2048-leaderboard",
+  }) {
+    this.sizes = sizes;
+    this.difficulties = difficulties;
+    this.limit = limit;
+    this.storageKey = storageKey;
+    this.VERSION = 1;
+    this.tables = {};
+    this.sizes.forEach((size) => {
+      this.difficulties.forEach((difficulty) => {
+        this.tables[Leaderboard.key(size, difficulty)] = [];
+      });
+    });
+  }
+
+  /**
+   * @param {number} size
+   * @param {string} difficulty
+   * @returns {string} - Key of that size and difficulty's table
+   */
+  static key(size, difficulty) {
+    return `${size}:${difficulty}`;
+  }
+
+  /**
+   * Load tables from localStorage, dropping any invalid entries
+   * @returns {boolean} - False if nothing was stored yet (first run)
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read leaderboard:", e);
+    }
+    if (!stored) return false;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return true;
+    }
+    if (!data || data.version !== this.VERSION || !data.tables) return true;
+
+    Object.keys(this.tables).forEach((key) => {
+      const entries = Array.isArray(data.tables[key]) ? data.tables[key] : [];
+      this.tables[key] = entries
+        .map((entry) => this.validateEntry(entry))
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.limit);
+    });
+    return true;
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.VERSION, tables: this.tables })
+      );
+    } catch (e) {
+      console.warn("Unable to save leaderboard:", e);
+    }
+  }
+
+  /**
+   * Validates a stored leaderboard entry
+   * Security: Keep only well-formed numbers, dates and flags so the panel
+   * never renders tampered data
+   * @param {*} entry - The entry to validate
+   * @returns {Object|null} - Sanitized entry, or null if invalid
+   */
+  validateEntry(entry) {
+    if (!entry || typeof entry !== "object") return null;
+    if (typeof entry.id !== "string" || entry.id.length > 64) return null;
+
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    // Imported best scores have no details, so those fields may be null
+    const isOptionalCount = (value) => value === null || isCount(value);
+
+    if (!isCount(entry.score)) return null;
+    const details = [entry.maxTile, entry.moves, entry.duration, entry.size];
+    if (!details.every(isOptionalCount)) return null;
+    if (entry.date !== null && isNaN(Date.parse(entry.date))) return null;
+    if (typeof entry.reachedTarget !== "boolean") return null;
+
+    return {
+      id: entry.id,
+      score: entry.score,
+      maxTile: entry.maxTile,
+      moves: entry.moves,
+      duration: entry.duration,
+      size: entry.size,
+      date: entry.date,
+      reachedTarget: entry.reachedTarget,
+    };
+  }
+
+  /**
+   * Add or update a finished game
+   * @param {number} size
+   * @param {string} difficulty
+   * @param {Object} entry - {id, score, maxTile, moves, duration, size, date, reachedTarget}
+   * @returns {number|null} - 1-based rank by score, or null if it didn't make the table
+   */
+  record(size, difficulty, entry) {
+    const key = Leaderboard.key(size, difficulty);
+    const valid = this.validateEntry(entry);
+    if (!valid || !this.tables[key]) return null;
+
+    // The same game can end more than once (undo after game over); keep the latest
+    const table = this.tables[key].filter((item) => item.id !== valid.id);
+    table.push(valid);
+    table.sort((a, b) => b.score - a.score);
+    this.tables[key] = table.slice(0, this.limit);
+    this.save();
+
+    const rank = this.tables[key].indexOf(valid);
+    return rank === -1 ? null : rank + 1;
+  }
+
+  /**
+   * Copy of a table sorted by one field
+   * @param {number} size
+   * @param {string} difficulty
+   * @param {string} [sortBy="score"] - score, maxTile, moves, duration or date
+   * @param {boolean} [descending=true]
+   * @returns {Object[]}
+   */
+  getEntries(size, difficulty, sortBy = "score", descending = true) {
+    const table = this.tables[Leaderboard.key(size, difficulty)];
+    const entries = (table || []).slice();
+    const value = (entry) => {
+      if (sortBy !== "date") return entry[sortBy];
+      return entry.date === null ? null : Date.parse(entry.date);
+    };
+
+    return entries.sort((a, b) => {
+      // Entries missing the field (imported scores) always sort last
+      const left = value(a);
+      const right = value(b);
+      if (left === null) return 1;
+      if (right === null) return -1;
+      return descending ? right - left : left - right;
+    });
+  }
+
+  /**
+   * Empty one size and difficulty's table
+   * @param {number} size
+   * @param {string} difficulty
+   */
+  clear(size, difficulty) {
+    const key = Leaderboard.key(size, difficulty);
+    if (!this.tables[key]) return;
+    this.tables[key] = [];
+    this.save();
+  }
+
+  /**
+   * Carry a pre-leaderboard best score over as an entry without details
+   * @param {number} size - Board size of the table to put it in
+   * @param {string} difficulty - Difficulty of the table to put it in
+   * @param {number} score - Validated best score
+   */
+  importLegacyBest(size, difficulty, score) {
+    if (score > 0) {
+      this.record(size, difficulty, {
+        id: "legacy-best",
+        score,
+        maxTile: null,
+        moves: null,
+        duration: null,
+        size: null,
+        date: null,
+        reachedTarget: false,
+      });
+    } else {
+      this.save();
+    }
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Leaderboard;
+}
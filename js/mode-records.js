@@ -0,0 +1,116 @@
+/**
+ * 2048 Challenge Mode Records
+ * Best result of each challenge mode per difficulty and board size, kept in localStorage
+ */
+
+class ModeRecords {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.modes - Challenge modes that keep records
+   * @param {string} [options.storageKey="2048-mode-records"]
+   */
+  constructor({ modes, storageKey = "2048-mode-records" }) {
+    this.modes = modes;
+    this.storageKey = storageKey;
+    this.VERSION = 1;
+    this.records = {};
+    this.modes.forEach((mode) => {
+      this.records[mode] = {};
+    });
+  }
+
+  /**
+   * Load records from localStorage, dropping any invalid ones
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read mode records:", e);
+    }
+    if (!stored) return;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.version !== this.VERSION || !data.records) return;
+
+    this.modes.forEach((mode) => {
+      const records = data.records[mode];
+      if (!records || typeof records !== "object") return;
+
+      Object.keys(records).forEach((key) => {
+        if (this.isValidRecord(key, records[key])) {
+          this.records[mode][key] = records[key];
+        }
+      });
+    });
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.VERSION, records: this.records })
+      );
+    } catch (e) {
+      console.warn("Unable to save mode records:", e);
+    }
+  }
+
+  /**
+   * Validates a stored record
+   * Security: Keep only known keys and whole numbers so the HUD never shows tampered data
+   * @param {string} key - "difficulty-NxN"
+   * @param {*} value - Milliseconds, score or move count
+   * @returns {boolean}
+   */
+  isValidRecord(key, value) {
+    if (!/^(beginner|easy|medium|hard)-([3-8])x\2$/.test(key)) return false;
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  /**
+   * Best result so far
+   * @param {string} mode
+   * @param {string} key - "difficulty-NxN"
+   * @returns {number|null} - null when the mode hasn't been completed there yet
+   */
+  get(mode, key) {
+    const records = this.records[mode] || {};
+    return Object.prototype.hasOwnProperty.call(records, key)
+      ? records[key]
+      : null;
+  }
+
+  /**
+   * Keep a result if it beats the current record
+   * @param {string} mode
+   * @param {string} key - "difficulty-NxN"
+   * @param {number} value
+   * @param {boolean} [lowerIsBetter=false] - True for times
+   * @returns {boolean} - Whether it set a new record
+   */
+  submit(mode, key, value, lowerIsBetter = false) {
+    if (!this.records[mode] || !this.isValidRecord(key, value)) return false;
+
+    const current = this.get(mode, key);
+    const better =
+      current === null ||
+      (lowerIsBetter ? value < current : value > current);
+    if (!better) return false;
+
+    this.records[mode][key] = value;
+    this.save();
+    return true;
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ModeRecords;
+}
@@ -0,0 +1,290 @@
+/**
+ * 2048 Race
+ * Two players race side by side on one screen, Player 1 on WASD and Player 2
+ * on the arrow keys. Both boards start from the same seed, so they get the
+ * same starting tiles and draw spawns from the same random sequence.
+ * First to the target tile wins; if both get stuck, the higher score does.
+ */
+
+class Race {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - The boards are built in here
+   * @param {HTMLElement} [options.resultElement] - Shows who won
+   * @param {Object[]} [options.players] - Two {name, title, keyLabel, keys,
+   *   remote} profiles; remote boards take no keys or swipes
+   * @param {Function} [options.onMove] - Called with (index, direction,
+   *   result) after each board move
+   * @param {boolean} [options.judge=true] - Decide the winner here; if false,
+   *   only finish() ends the race
+   */
+  constructor({
+    container,
+    resultElement = null,
+    players = null,
+    onMove = null,
+    judge = true,
+  }) {
+    this.container = container;
+    this.resultElement = resultElement;
+    this.onMove = onMove;
+    this.judge = judge;
+
+    this.PLAYERS = players || [
+      {
+        name: "Player 1",
+        title: "Player 1 wins",
+        keyLabel: "W A S D",
+        keys: { w: "up", a: "left", s: "down", d: "right" },
+      },
+      {
+        name: "Player 2",
+        title: "Player 2 wins",
+        keyLabel: "Arrow keys",
+        keys: {
+          ArrowUp: "up",
+          ArrowLeft: "left",
+          ArrowDown: "down",
+          ArrowRight: "right",
+        },
+      },
+    ];
+
+    this.players = [];
+    this.seed = null;
+    this.target = null;
+    // Index of the winning player, "draw", or null while the race is on
+    this.winner = null;
+
+    this.handleKeydown = (e) => this.keydown(e);
+  }
+
+  /**
+   * Whether a race is on screen and taking the keys
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.players.length > 0;
+  }
+
+  /**
+   * Build both boards and start a race
+   * @param {Object} options
+   * @param {string} options.seed - Validated seed code shared by both boards
+   * @param {number} options.size
+   * @param {Object} options.rules - Difficulty rules, see Game.getRules()
+   * @param {boolean} [options.reducedMotion=false]
+   */
+  start({ seed, size, rules, reducedMotion = false }) {
+    this.stop();
+    this.seed = seed;
+    this.target = rules.winTile;
+    this.winner = null;
+
+    this.players = this.PLAYERS.map((profile, index) => {
+      const player = this.createPlayer(profile, index);
+      player.view.reducedMotion = reducedMotion;
+      player.view.build(size);
+      player.game = new BoardGame({ view: player.view, size, rules });
+      player.game.start(seed);
+      this.container.appendChild(player.element);
+      return player;
+    });
+
+    this.players.forEach((player) => this.updatePlayer(player));
+    this.updateResult();
+    document.addEventListener("keydown", this.handleKeydown);
+  }
+
+  /**
+   * Take both boards down and stop listening for keys
+   */
+  stop() {
+    document.removeEventListener("keydown", this.handleKeydown);
+    this.players.forEach((player) => {
+      if (player.swipe) player.swipe.destroy();
+      player.element.remove();
+    });
+    this.players = [];
+  }
+
+  /**
+   * Build one player's board, score and status
+   * @param {{name: string, title: string, keyLabel: string, keys: Object, remote: boolean}} profile
+   * @param {number} index
+   * @returns {Object} - Player without a game yet
+   */
+  createPlayer(profile, index) {
+    const element = document.createElement("section");
+    element.className = "race-player";
+    element.setAttribute("aria-label", profile.name);
+
+    const header = document.createElement("div");
+    header.className = "race-player-header";
+    const name = document.createElement("h3");
+    name.textContent = profile.name;
+    const keys = document.createElement("span");
+    keys.className = "race-keys";
+    keys.textContent = profile.keyLabel;
+    header.append(name, keys);
+
+    const score = document.createElement("div");
+    score.className = "race-score";
+    score.textContent = "Score ";
+    const scoreValue = document.createElement("strong");
+    score.appendChild(scoreValue);
+
+    const board = document.createElement("div");
+    board.className = "game-container race-board";
+    const grid = document.createElement("div");
+    grid.className = "grid-container";
+    grid.setAttribute("role", "grid");
+    grid.setAttribute("aria-label", `${profile.name}'s board`);
+    grid.setAttribute("aria-readonly", "true");
+    const tiles = document.createElement("div");
+    tiles.className = "tile-container";
+    tiles.setAttribute("aria-hidden", "true");
+    const status = document.createElement("div");
+    status.className = "race-status";
+    board.append(grid, tiles, status);
+
+    element.append(header, score, board);
+
+    // Each local board takes its own swipes, with the player's swipe settings
+    let swipe = null;
+    if (!profile.remote) {
+      swipe = new SwipeInput({
+        element: board,
+        onSwipe: (direction) => this.move(index, direction),
+      });
+      swipe.load();
+    }
+
+    return {
+      name: profile.name,
+      title: profile.title,
+      keys: profile.remote ? {} : profile.keys,
+      element,
+      view: new BoardView({ container: board, grid, tiles }),
+      swipe,
+      scoreElement: scoreValue,
+      statusElement: status,
+      game: null,
+    };
+  }
+
+  /**
+   * Send each player's keys to their own board
+   * @param {KeyboardEvent} e
+   */
+  keydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest("input, select, textarea")) {
+      return;
+    }
+
+    // Letters count with Shift or Caps Lock too
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const index = this.players.findIndex((player) => player.keys[key]);
+    if (index === -1) return;
+
+    e.preventDefault();
+    this.move(index, this.players[index].keys[key]);
+  }
+
+  /**
+   * Move one player's board
+   * @param {number} index - Player index
+   * @param {string} direction
+   * @returns {Object|null} - Engine move result, or null if that board is
+   *   stuck or the race is over
+   */
+  move(index, direction) {
+    const player = this.players[index];
+    if (!player || this.winner !== null) return null;
+
+    const result = player.game.move(direction);
+    if (!result || !result.moved) return result;
+
+    if (this.judge && player.game.won) {
+      this.winner = index;
+    } else if (this.judge && this.players.every((item) => item.game.over)) {
+      this.winner = this.getLeader();
+    }
+
+    this.players.forEach((item) => this.updatePlayer(item));
+    this.updateResult();
+    if (this.onMove) this.onMove(index, direction, result);
+    return result;
+  }
+
+  /**
+   * End the race with a result decided elsewhere
+   * @param {number|string} winner - Index of the winning player, or "draw"
+   * @param {string} [text] - Explanation shown instead of the usual result
+   */
+  finish(winner, text) {
+    if (!this.isActive()) return;
+
+    this.winner = winner;
+    this.players.forEach((player) => this.updatePlayer(player));
+    this.updateResult();
+    // Security: Use textContent for safe DOM updates
+    if (text && this.resultElement) this.resultElement.textContent = text;
+  }
+
+  /**
+   * @returns {number|string} - Index of the higher scorer, or "draw"
+   */
+  getLeader() {
+    const [first, second] = this.players.map(
+      (player) => player.game.engine.score
+    );
+    if (first === second) return "draw";
+    return first > second ? 0 : 1;
+  }
+
+  /**
+   * Show a player's score and whether they are still racing
+   * @param {Object} player
+   */
+  updatePlayer(player) {
+    const index = this.players.indexOf(player);
+    let status = "";
+    if (this.winner === index) {
+      status = "Winner!";
+    } else if (this.winner === "draw") {
+      status = "Draw";
+    } else if (player.game.over) {
+      status = "Stuck!";
+    }
+
+    // Security: Use textContent for safe DOM updates
+    player.scoreElement.textContent = player.game.engine.score;
+    player.statusElement.textContent = status;
+    player.element.classList.toggle("race-finished", status !== "");
+  }
+
+  /**
+   * Say how the race stands, or who won it
+   */
+  updateResult() {
+    if (!this.resultElement) return;
+
+    const scores = this.players.map((player) => player.game.engine.score);
+    let text = `First to ${this.target} wins. Seed ${this.seed}.`;
+    if (this.winner === "draw") {
+      text = `It's a draw at ${scores[0]} each!`;
+    } else if (this.winner !== null) {
+      const { title, game } = this.players[this.winner];
+      const won = scores[this.winner];
+      const lost = scores[1 - this.winner];
+      text = game.won
+        ? `${title} by reaching ${this.target}!`
+        : `${title} on score, ${won} to ${lost}!`;
+    }
+
+    // Security: Use textContent for safe DOM updates
+    this.resultElement.textContent = text;
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * 2048 Seeded Random
+ * Deterministic PRNG (mulberry32) seeded from a shareable seed code
+ */
+
+class SeededRandom {
+  /**
+   * @param {string} seed - Seed code; equal codes give equal sequences
+   */
+  constructor(seed) {
+    this.state = SeededRandom.hashSeed(seed);
+  }
+
+  /**
+   * Next value in the sequence
+   * @returns {number} - Float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Current position in the sequence, for undo and saved games
+   * @returns {number} - Unsigned 32-bit integer
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Jump to a position returned by getState()
+   * @param {number} state - Unsigned 32-bit integer
+   */
+  setState(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Hash a seed code to a 32-bit starting state (FNV-1a)
+   * @param {string} seed
+   * @returns {number}
+   */
+  static hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < seed.length; i++) {
+      hash ^= seed.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a new random seed code
+   * @returns {string} - Eight uppercase base-36 characters
+   */
+  static generateSeed() {
+    const alphabet = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+    const values = new Uint32Array(8);
+    if (typeof crypto !== "undefined" && crypto.getRandomValues) {
+      crypto.getRandomValues(values);
+    } else {
+      for (let i = 0; i < values.length; i++) {
+        values[i] = Math.floor(Math.random() * 4294967296);
+      }
+    }
+    return Array.from(values, (value) => alphabet[value % 36]).join("");
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = SeededRandom;
+}
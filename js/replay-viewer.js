@@ -0,0 +1,246 @@
+/**
+ * 2048 Replay Viewer
+ * Plays a Replay back on the page through the game's own render/score/progress paths
+ */
+
+class ReplayViewer {
+  /**
+   * @param {Game} game - Game whose board the replay is shown on
+   */
+  constructor(game) {
+    this.game = game;
+    this.replay = null;
+    this.frames = [];
+    this.position = 0;
+    this.timer = null;
+    this.speed = 1;
+    this.STEP_INTERVAL = 600; // ms between moves at 1x speed
+
+    // Live game parts swapped out while the replay owns the board
+    this.liveEngine = null;
+    this.liveSize = null;
+
+    // Cache DOM elements to avoid repeated queries
+    this.player = document.getElementById("replay-player");
+    this.backButton = document.getElementById("replay-back-btn");
+    this.playButton = document.getElementById("replay-play-btn");
+    this.forwardButton = document.getElementById("replay-forward-btn");
+    this.speedSelect = document.getElementById("replay-speed");
+    this.positionElement = document.getElementById("replay-position");
+    this.exitButton = document.getElementById("replay-exit-btn");
+
+    this.setupControls();
+  }
+
+  /**
+   * Whether a replay currently owns the board
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.replay !== null;
+  }
+
+  setupControls() {
+    if (this.backButton) {
+      this.backButton.addEventListener("click", () => {
+        this.pause();
+        this.stepBack();
+      });
+    }
+
+    if (this.playButton) {
+      this.playButton.addEventListener("click", () => {
+        this.togglePlay();
+      });
+    }
+
+    if (this.forwardButton) {
+      this.forwardButton.addEventListener("click", () => {
+        this.pause();
+        this.stepForward();
+      });
+    }
+
+    if (this.speedSelect) {
+      this.speedSelect.addEventListener("change", () => {
+        // Security: Only accept the speeds offered in the selector
+        const speed = parseFloat(this.speedSelect.value);
+        if ([0.5, 1, 2, 4].includes(speed)) {
+          this.setSpeed(speed);
+        }
+      });
+    }
+
+    if (this.exitButton) {
+      this.exitButton.addEventListener("click", () => {
+        this.close();
+      });
+    }
+  }
+
+  /**
+   * Show a replay on the board, starting from its first position
+   * @param {Replay} replay
+   * @returns {boolean} - False if the replay's moves don't follow the game rules
+   */
+  open(replay) {
+    const frames = replay.buildFrames();
+    if (!frames) return false;
+
+    if (this.isActive()) this.close();
+
+    this.replay = replay;
+    this.frames = frames;
+
+    // Drive the board from a private engine so the live game is untouched
+    this.rng = new SeededRandom(replay.seed);
+    this.engine = new GameEngine({
+      size: replay.size,
+      random: () => this.rng.next(),
+      rules: replay.rules,
+    });
+    this.liveEngine = this.game.engine;
+    this.liveSize = this.game.size;
+    this.game.engine = this.engine;
+    this.game.size = replay.size;
+    this.game.buildGrid();
+    this.game.hideMessage();
+
+    if (this.player) this.player.hidden = false;
+    this.showFrame(0);
+    return true;
+  }
+
+  /**
+   * Leave replay mode and put the live game back on the board
+   */
+  close() {
+    if (!this.isActive()) return;
+
+    this.pause();
+    this.replay = null;
+    this.frames = [];
+
+    this.game.engine = this.liveEngine;
+    this.game.size = this.liveSize;
+    this.liveEngine = null;
+    this.game.buildGrid();
+    this.game.render();
+    this.game.updateScore();
+    this.game.updateProgress();
+
+    if (this.game.gameOver) {
+      this.game.showMessage(...this.game.getGameOverMessage());
+    }
+
+    if (this.player) this.player.hidden = true;
+  }
+
+  /**
+   * Jump to a position without animation
+   * @param {number} position - Number of moves played, 0 to moves.length
+   */
+  showFrame(position) {
+    const frame = this.frames[position];
+    this.position = position;
+    this.engine.setState(frame);
+    this.rng.setState(frame.rngState);
+
+    this.game.render();
+    this.game.updateScore();
+    this.game.updateProgress();
+    this.updateStatus();
+  }
+
+  /**
+   * Play the next recorded move with the normal slide animation
+   * @returns {boolean} - False at the end of the replay
+   */
+  stepForward() {
+    if (!this.isActive() || this.position >= this.replay.moves.length) {
+      return false;
+    }
+
+    const result = this.engine.move(this.replay.moves[this.position]);
+    this.position++;
+
+    this.game.render(result);
+    this.game.updateScore();
+    this.game.updateProgress();
+    this.updateStatus();
+    return true;
+  }
+
+  /**
+   * Go back one move
+   * @returns {boolean} - False at the start of the replay
+   */
+  stepBack() {
+    if (!this.isActive() || this.position === 0) return false;
+    this.showFrame(this.position - 1);
+    return true;
+  }
+
+  play() {
+    if (!this.isActive() || this.timer) return;
+
+    // Restart from the beginning when play is pressed at the end
+    if (this.position >= this.replay.moves.length) {
+      this.showFrame(0);
+    }
+
+    this.timer = setInterval(() => {
+      if (!this.stepForward()) this.pause();
+    }, this.STEP_INTERVAL / this.speed);
+    this.updateStatus();
+  }
+
+  pause() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.updateStatus();
+  }
+
+  togglePlay() {
+    if (this.timer) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Change playback speed, keeping playback running if it was
+   * @param {number} speed - Multiplier of the 1x step interval
+   */
+  setSpeed(speed) {
+    this.speed = speed;
+    if (this.timer) {
+      this.pause();
+      this.play();
+    }
+  }
+
+  updateStatus() {
+    if (!this.isActive()) return;
+
+    const total = this.replay.moves.length;
+
+    // Security: Use textContent for safe DOM updates
+    if (this.positionElement) {
+      this.positionElement.textContent = `${this.position} / ${total}`;
+    }
+    if (this.playButton) {
+      this.playButton.textContent = this.timer ? "⏸" : "▶";
+      this.playButton.setAttribute("aria-label", this.timer ? "Pause" : "Play");
+    }
+    if (this.backButton) {
+      this.backButton.disabled = this.position === 0;
+    }
+    if (this.forwardButton) {
+      this.forwardButton.disabled = this.position >= total;
+    }
+  }
+}
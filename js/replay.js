@@ -0,0 +1,135 @@
+/**
+ * 2048 Replays
+ * A recorded game: seed, starting board and the direction of every move
+ */
+
+class Replay {
+  /**
+   * @param {Object} data - Validated fields, see Game.validateReplay()
+   * @param {string} data.seed - Seed code the game was played with
+   * @param {number} data.size - Board size
+   * @param {string} data.difficulty - Difficulty level
+   * @param {Object} data.rules - That difficulty's rules profile, see GameEngine.setRules()
+   * @param {{grid: number[][], blockers: number[][], score: number, rngState: number}} data.start - Board after the opening spawns
+   * @param {string[]} data.moves - Directions in play order
+   */
+  constructor({ seed, size, difficulty, rules, start, moves }) {
+    this.seed = seed;
+    this.size = size;
+    this.difficulty = difficulty;
+    this.rules = rules;
+    this.start = {
+      grid: start.grid.map((row) => row.slice()),
+      blockers: start.blockers.map((cell) => cell.slice()),
+      score: start.score,
+      rngState: start.rngState,
+    };
+    this.moves = moves.slice();
+  }
+
+  /**
+   * Compact a list of directions into one letter per move ("LURD…")
+   * @param {string[]} moves
+   * @returns {string}
+   */
+  static encodeMoves(moves) {
+    return moves.map((direction) => direction[0].toUpperCase()).join("");
+  }
+
+  /**
+   * Expand a string from encodeMoves()
+   * @param {string} text
+   * @returns {string[]|null} - Directions, or null if the text has other characters
+   */
+  static decodeMoves(text) {
+    const directions = { L: "left", R: "right", U: "up", D: "down" };
+    if (typeof text !== "string" || !/^[LRUD]*$/.test(text)) return null;
+    return Array.from(text, (letter) => directions[letter]);
+  }
+
+  /**
+   * File format written by "Download replay"
+   * Rules aren't stored; they follow from the difficulty
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      format: "2048-replay",
+      version: 1,
+      seed: this.seed,
+      size: this.size,
+      difficulty: this.difficulty,
+      start: this.start,
+      moves: Replay.encodeMoves(this.moves),
+    };
+  }
+
+  /**
+   * Play every move through the game rules, keeping the state before and after each
+   * @returns {Array<{grid: number[][], blockers: number[][], score: number, rngState: number}>|null} -
+   *   moves.length + 1 snapshots, or null if a move would not change the board
+   */
+  buildFrames() {
+    const { engine, rng } = this.createEngine();
+
+    const snapshot = () => ({
+      ...engine.getState(),
+      rngState: rng.getState(),
+    });
+
+    const frames = [snapshot()];
+    for (const direction of this.moves) {
+      if (!engine.move(direction).moved) return null;
+      frames.push(snapshot());
+    }
+    return frames;
+  }
+
+  /**
+   * How many merges made each tile value over the whole game
+   * @returns {Object<string, number>|null} - Count per merged value, or null
+   *   if a move would not change the board
+   */
+  countMerges() {
+    const { engine } = this.createEngine();
+
+    const counts = {};
+    for (const direction of this.moves) {
+      const result = engine.move(direction);
+      if (!result.moved) return null;
+      result.merges.forEach(({ value }) => {
+        counts[value] = (counts[value] || 0) + 1;
+      });
+    }
+    return counts;
+  }
+
+  /**
+   * Engine and seeded generator set to the start of the recording
+   * @returns {{engine: GameEngine, rng: SeededRandom}}
+   */
+  createEngine() {
+    // Browsers load these as earlier scripts; Node needs them required
+    const Engine =
+      typeof GameEngine !== "undefined" ? GameEngine : require("./engine.js");
+    const Random =
+      typeof SeededRandom !== "undefined"
+        ? SeededRandom
+        : require("./random.js");
+
+    const rng = new Random(this.seed);
+    const engine = new Engine({
+      size: this.size,
+      random: () => rng.next(),
+      rules: this.rules,
+    });
+    engine.setState(this.start);
+    rng.setState(this.start.rngState);
+    return { engine, rng };
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Replay;
+}
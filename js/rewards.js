@@ -0,0 +1,119 @@
+/**
+ * 2048 Reward Manifest
+ * Which image, alt text and clue caption each difficulty rewards, and the tile
+ * that unlocks it. Read from a JSON manifest so puzzle organisers can swap
+ * clues without touching the code.
+ */
+
+class RewardManifest {
+  /**
+   * @param {Object} options
+   * @param {Object} options.defaults - Reward per difficulty used until (or
+   *   unless) the manifest provides a valid one
+   * @param {string} [options.url="assets/rewards.json"]
+   */
+  constructor({ defaults, url = "assets/rewards.json" }) {
+    this.url = url;
+    this.VERSION = 1;
+    this.FALLBACK_IMAGE = "assets/progress-bar.png";
+    this.MAX_TILE = 131072;
+    this.rewards = {};
+    Object.keys(defaults).forEach((difficulty) => {
+      this.rewards[difficulty] = { ...defaults[difficulty] };
+    });
+  }
+
+  /**
+   * Fetch the manifest and take every valid reward from it
+   * @returns {Promise<boolean>} - False if the manifest couldn't be used
+   */
+  load() {
+    if (typeof fetch !== "function") return Promise.resolve(false);
+
+    return fetch(this.url, { cache: "no-cache" })
+      .then((response) => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      .then((data) => this.apply(data))
+      .catch((e) => {
+        console.warn("Unable to load reward manifest:", e);
+        return false;
+      });
+  }
+
+  /**
+   * Take the valid rewards from parsed manifest data
+   * @param {*} data - Parsed manifest
+   * @returns {boolean} - False if the manifest as a whole is invalid
+   */
+  apply(data) {
+    if (!data || data.version !== this.VERSION || !data.rewards) {
+      console.warn("Ignoring reward manifest with an unknown format");
+      return false;
+    }
+
+    Object.keys(this.rewards).forEach((difficulty) => {
+      if (!Object.prototype.hasOwnProperty.call(data.rewards, difficulty)) {
+        return;
+      }
+      const reward = this.validateReward(data.rewards[difficulty]);
+      if (reward) {
+        this.rewards[difficulty] = reward;
+      } else {
+        console.warn(`Ignoring invalid reward for ${difficulty}`);
+      }
+    });
+    return true;
+  }
+
+  /**
+   * Validates one manifest entry
+   * Security: The image must be a plain relative path inside assets/ so it can't
+   * point off-site, climb out of the folder or break out of a CSS url();
+   * text is length-limited and only ever shown through textContent/alt
+   * @param {*} reward - The entry to validate
+   * @returns {Object|null} - Sanitized reward, or null if invalid
+   */
+  validateReward(reward) {
+    if (!reward || typeof reward !== "object") return null;
+
+    const { image, alt, caption, unlockTile } = reward;
+    if (!this.isValidImagePath(image)) return null;
+    if (typeof alt !== "string" || alt.length === 0 || alt.length > 200) {
+      return null;
+    }
+    if (typeof caption !== "string" || caption.length > 500) return null;
+    if (!Number.isInteger(unlockTile) || unlockTile < 4) return null;
+    if (unlockTile > this.MAX_TILE || (unlockTile & (unlockTile - 1)) !== 0) {
+      return null;
+    }
+
+    return { image, alt, caption, unlockTile };
+  }
+
+  /**
+   * @param {*} path
+   * @returns {boolean}
+   */
+  isValidImagePath(path) {
+    return (
+      typeof path === "string" &&
+      /^assets\/[\w-]+(\/[\w-]+)*\.(png|jpe?g|gif|webp|svg)$/.test(path)
+    );
+  }
+
+  /**
+   * Reward for a difficulty
+   * @param {string} difficulty
+   * @returns {{image: string, alt: string, caption: string, unlockTile: number}}
+   */
+  get(difficulty) {
+    return this.rewards[difficulty];
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = RewardManifest;
+}
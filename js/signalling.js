@@ -0,0 +1,131 @@
+/**
+ * 2048 Versus Signalling
+ * Ways for two browsers to swap the WebRTC offer and answer that set up a
+ * versus match. Every adapter has the same shape, so others (a team chat
+ * bot, a hosted server) can be dropped in:
+ *   connect(onMessage) - Start listening; returns a Promise
+ *   send(message)      - Deliver {type: "offer"|"answer", sdp} to the peer
+ *   close()            - Stop listening
+ * Messages arrive unchecked; Versus validates them.
+ */
+
+/**
+ * Players copy a code from one browser and paste it into the other,
+ * over any chat they like. Needs no server at all.
+ */
+class CopyPasteSignalling {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onCode - Called with the code to hand to the
+   *   other player
+   */
+  constructor({ onCode }) {
+    this.onCode = onCode;
+    this.onMessage = null;
+    this.MAX_CODE_LENGTH = 64 * 1024;
+  }
+
+  /**
+   * @param {Function} onMessage - Called with each message from the peer
+   * @returns {Promise<void>}
+   */
+  connect(onMessage) {
+    this.onMessage = onMessage;
+    return Promise.resolve();
+  }
+
+  /**
+   * @param {Object} message
+   */
+  send(message) {
+    this.onCode(btoa(JSON.stringify(message)));
+  }
+
+  /**
+   * Take a code pasted by the player
+   * @param {string} code
+   * @returns {boolean} - False if it isn't a code from this game
+   */
+  receive(code) {
+    if (typeof code !== "string" || code.length > this.MAX_CODE_LENGTH) {
+      return false;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(atob(code.trim()));
+    } catch (e) {
+      return false;
+    }
+    if (!message || typeof message !== "object") return false;
+
+    if (this.onMessage) this.onMessage(message);
+    return true;
+  }
+
+  close() {
+    this.onMessage = null;
+  }
+}
+
+/**
+ * Relays messages through a WebSocket server, such as the test server in
+ * tools/signalling-server.js. Both players join the same room.
+ */
+class WebSocketSignalling {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - ws:// or wss:// address
+   * @param {string} options.room - Room name shared by both players
+   */
+  constructor({ url, room }) {
+    this.url = url;
+    this.room = room;
+    this.socket = null;
+  }
+
+  /**
+   * Open the socket and join the room
+   * @param {Function} onMessage - Called with each message from the peer
+   * @returns {Promise<void>} - Rejects if the server can't be reached
+   */
+  connect(onMessage) {
+    return new Promise((resolve, reject) => {
+      this.socket = new WebSocket(this.url);
+
+      this.socket.addEventListener("open", () => {
+        this.socket.send(JSON.stringify({ type: "join", room: this.room }));
+        resolve();
+      });
+      this.socket.addEventListener("error", () => {
+        reject(new Error(`Unable to reach ${this.url}`));
+      });
+      this.socket.addEventListener("message", (e) => {
+        let data;
+        try {
+          data = JSON.parse(e.data);
+        } catch (error) {
+          return;
+        }
+        if (data && data.type === "signal") onMessage(data.data);
+        if (data && data.type === "error") {
+          console.warn("Signalling server:", data.message);
+        }
+      });
+    });
+  }
+
+  /**
+   * @param {Object} message
+   */
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify({ type: "signal", data: message }));
+    }
+  }
+
+  close() {
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * 2048 Solver Client
+ * Promise wrapper around the solver Web Worker, with a main-thread fallback
+ * for pages where workers can't start (e.g. opened from file://)
+ */
+
+class SolverClient {
+  /**
+   * @param {string} [workerUrl] - Path to js/solver-worker.js
+   */
+  constructor(workerUrl = "js/solver-worker.js") {
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.localSolver = null;
+    this.worker = null;
+
+    try {
+      this.worker = new Worker(workerUrl);
+      this.worker.addEventListener("message", (e) => {
+        this.handleResult(e.data);
+      });
+      this.worker.addEventListener("error", (e) => {
+        e.preventDefault();
+        this.useMainThread(e.message || e);
+      });
+    } catch (e) {
+      this.useMainThread(e);
+    }
+  }
+
+  /**
+   * Ask the solver for the best direction on a board
+   * @param {number[][]} grid
+   * @param {Object} [rules] - Blocked cells and spawn odds, see Solver.bestMove()
+   * @returns {Promise<string|null>} - Direction, or null when no move is possible
+   */
+  suggest(grid, rules) {
+    const id = this.nextRequestId++;
+    const board = grid.map((row) => row.slice());
+
+    return new Promise((resolve) => {
+      this.pending.set(id, { grid: board, rules, resolve });
+
+      if (this.worker) {
+        this.worker.postMessage({ id, grid: board, rules });
+      } else {
+        // Yield first so callers behave the same as with the worker
+        setTimeout(() => this.solveLocally(id), 0);
+      }
+    });
+  }
+
+  handleResult({ id, direction }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    this.pending.delete(id);
+    request.resolve(direction);
+  }
+
+  /**
+   * Drop the worker and answer every request on the main thread instead
+   * @param {*} reason - Why the worker is unavailable, for the console
+   */
+  useMainThread(reason) {
+    console.warn("Solver worker unavailable, using the main thread:", reason);
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    // Answer anything the worker accepted but never finished
+    Array.from(this.pending.keys()).forEach((id) => {
+      setTimeout(() => this.solveLocally(id), 0);
+    });
+  }
+
+  solveLocally(id) {
+    const request = this.pending.get(id);
+    if (!request) return;
+
+    if (!this.localSolver) {
+      this.localSolver = new Solver();
+    }
+    const { direction } = this.localSolver.bestMove(
+      request.grid,
+      request.rules
+    );
+    this.handleResult({ id, direction });
+  }
+
+  /**
+   * Stop the worker; outstanding requests are never answered
+   */
+  terminate() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.pending.clear();
+  }
+}
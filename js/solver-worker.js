@@ -0,0 +1,14 @@
+/**
+ * 2048 Solver Worker
+ * Runs the expectimax search off the main thread so the board stays responsive
+ */
+
+importScripts("engine.js", "solver.js");
+
+const solver = new Solver();
+
+self.addEventListener("message", (e) => {
+  const { id, grid, rules } = e.data;
+  const { direction } = solver.bestMove(grid, rules);
+  self.postMessage({ id, direction });
+});
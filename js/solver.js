@@ -0,0 +1,232 @@
+/**
+ * 2048 Solver
+ * Expectimax search over GameEngine boards with the usual 2048 heuristics:
+ * empty cells, monotonicity, smoothness and the largest tile
+ */
+
+class Solver {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.depth=2] - Player moves to look ahead
+   * @param {number} [options.probabilityCutoff=0.0001] - Stop exploring spawn branches less likely than this
+   */
+  constructor(options = {}) {
+    this.depth = options.depth || 2;
+    this.probabilityCutoff = options.probabilityCutoff || 0.0001;
+    this.directions = ["up", "right", "down", "left"];
+
+    // Heuristic weights, applied to log2 tile values
+    this.weights = {
+      empty: 2.7,
+      monotonicity: 1.0,
+      smoothness: 0.1,
+      maxTile: 1.0,
+    };
+
+    // Browsers and workers load the engine as an earlier script; Node needs it required
+    const Engine =
+      typeof GameEngine !== "undefined" ? GameEngine : require("./engine.js");
+    this.engine = new Engine();
+
+    // Set per search from the rules the board is played under
+    this.blockers = [];
+    this.spawns = [];
+  }
+
+  /**
+   * Pick the direction with the best expected outcome
+   * @param {number[][]} grid - Current board
+   * @param {Object} [rules] - The game's rules; classic 2048 when omitted
+   * @param {number[][]} [rules.blockers] - Blocked cells as [row, column] pairs
+   * @param {Array<{value: number, weight: number}>} [rules.spawns] - Spawn odds, as in GameEngine.setRules()
+   * @returns {{direction: string|null, scores: Object}} - direction is null when no move is possible
+   */
+  bestMove(grid, rules = {}) {
+    this.blockers = rules.blockers || [];
+    this.spawns = this.getSpawnChances(
+      rules.spawns || this.engine.rules.spawns
+    );
+
+    // Bigger boards branch much more at each spawn, so search less deeply
+    const empty = this.countEmpty(grid);
+    const depth = empty > 8 ? Math.min(this.depth, 2) : this.depth;
+
+    let best = null;
+    let bestScore = -Infinity;
+    const scores = {};
+
+    this.directions.forEach((direction) => {
+      const next = this.slide(grid, direction);
+      if (!next) return;
+
+      const score = this.chanceValue(next, depth - 1, 1);
+      scores[direction] = score;
+      if (score > bestScore) {
+        bestScore = score;
+        best = direction;
+      }
+    });
+
+    return { direction: best, scores };
+  }
+
+  /**
+   * Turn spawn weights into probabilities that add up to 1
+   * @param {Array<{value: number, weight: number}>} spawns
+   * @returns {Array<{value: number, chance: number}>}
+   */
+  getSpawnChances(spawns) {
+    const total = spawns.reduce((sum, spawn) => sum + spawn.weight, 0);
+    return spawns.map(({ value, weight }) => ({
+      value,
+      chance: weight / total,
+    }));
+  }
+
+  /**
+   * Whether a cell is one of the current search's blocked cells
+   */
+  isBlocked(r, c) {
+    return this.blockers.some(([row, col]) => row === r && col === c);
+  }
+
+  /**
+   * Board after sliding, without spawning a tile
+   * @param {number[][]} grid
+   * @param {string} direction
+   * @returns {number[][]|null} - New board, or null if nothing moved
+   */
+  slide(grid, direction) {
+    if (this.engine.size !== grid.length) {
+      this.engine.setSize(grid.length);
+    }
+    this.engine.setState({ grid, blockers: this.blockers, score: 0 });
+    return this.engine.slide(direction) ? this.engine.getState().grid : null;
+  }
+
+  /**
+   * Best value the player can reach from this board
+   */
+  maxValue(grid, depth, probability) {
+    let best = -Infinity;
+    this.directions.forEach((direction) => {
+      const next = this.slide(grid, direction);
+      if (next) {
+        best = Math.max(best, this.chanceValue(next, depth - 1, probability));
+      }
+    });
+
+    // No move left: as bad as it gets
+    return best === -Infinity ? -1e6 : best;
+  }
+
+  /**
+   * Expected value over every possible tile spawn on this board
+   */
+  chanceValue(grid, depth, probability) {
+    const emptyCells = [];
+    grid.forEach((row, r) =>
+      row.forEach((value, c) => {
+        if (value === 0 && !this.isBlocked(r, c)) emptyCells.push({ r, c });
+      })
+    );
+
+    if (
+      depth <= 0 ||
+      emptyCells.length === 0 ||
+      probability < this.probabilityCutoff
+    ) {
+      return this.evaluate(grid);
+    }
+
+    let total = 0;
+    emptyCells.forEach(({ r, c }) => {
+      this.spawns.forEach(({ value, chance }) => {
+        const next = grid.map((row) => row.slice());
+        next[r][c] = value;
+        const branch = probability * (chance / emptyCells.length);
+        total += chance * this.maxValue(next, depth, branch);
+      });
+    });
+
+    return total / emptyCells.length;
+  }
+
+  /**
+   * Static score of a board; higher is better
+   * @param {number[][]} grid
+   * @returns {number}
+   */
+  evaluate(grid) {
+    const logs = grid.map((row) =>
+      row.map((value) => (value ? Math.log2(value) : 0))
+    );
+    const size = logs.length;
+
+    let smoothness = 0;
+    let maxTile = 0;
+    for (let r = 0; r < size; r++) {
+      for (let c = 0; c < size; c++) {
+        const value = logs[r][c];
+        if (!value) continue;
+        maxTile = Math.max(maxTile, value);
+        if (c < size - 1 && logs[r][c + 1]) {
+          smoothness -= Math.abs(value - logs[r][c + 1]);
+        }
+        if (r < size - 1 && logs[r + 1][c]) {
+          smoothness -= Math.abs(value - logs[r + 1][c]);
+        }
+      }
+    }
+
+    // Penalise rows and columns that go both up and down
+    let monotonicity = 0;
+    for (let i = 0; i < size; i++) {
+      const row = logs[i];
+      const column = logs.map((line) => line[i]);
+      monotonicity -= this.lineDisorder(row) + this.lineDisorder(column);
+    }
+
+    const w = this.weights;
+    return (
+      w.empty * Math.log(this.countEmpty(grid) + 1) +
+      w.monotonicity * monotonicity +
+      w.smoothness * smoothness +
+      w.maxTile * maxTile
+    );
+  }
+
+  /**
+   * How far a line is from being sorted in either direction
+   * @param {number[]} line - log2 tile values
+   * @returns {number}
+   */
+  lineDisorder(line) {
+    let increase = 0;
+    let decrease = 0;
+    for (let i = 0; i < line.length - 1; i++) {
+      const diff = line[i + 1] - line[i];
+      if (diff > 0) {
+        increase += diff;
+      } else {
+        decrease -= diff;
+      }
+    }
+    return Math.min(increase, decrease);
+  }
+
+  countEmpty(grid) {
+    let empty = 0;
+    grid.forEach((row, r) =>
+      row.forEach((value, c) => {
+        if (value === 0 && !this.isBlocked(r, c)) empty++;
+      })
+    );
+    return empty;
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers and workers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Solver;
+}
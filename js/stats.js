@@ -0,0 +1,432 @@
+/**
+ * 2048 Game Statistics
+ * Every finished or abandoned game's numbers plus lifetime totals, kept in
+ * localStorage. Only the most recent games are stored one by one; the totals
+ * keep counting past that limit.
+ */
+
+class GameStats {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.difficulties
+   * @param {number} [options.limit=500] - Games kept one by one
+   * @param {string} [options.storageKey="2048-stats"]
+   */
+  constructor({ difficulties, limit = 500, storageKey = "2048-stats" }) {
+    this.difficulties = difficulties;
+    this.limit = limit;
+    this.storageKey = storageKey;
+    this.VERSION = 1;
+    this.MAX_TILE = 131072;
+    this.DIRECTIONS = ["up", "down", "left", "right"];
+    this.games = [];
+    this.totals = this.createTotals();
+  }
+
+  /**
+   * @returns {Object} - Lifetime totals before the first game
+   */
+  createTotals() {
+    const difficulties = {};
+    this.difficulties.forEach((difficulty) => {
+      difficulties[difficulty] = { games: 0, wins: 0 };
+    });
+    const directions = {};
+    this.DIRECTIONS.forEach((direction) => {
+      directions[direction] = 0;
+    });
+
+    return {
+      games: 0,
+      score: 0,
+      moves: 0,
+      duration: 0,
+      difficulties,
+      maxTiles: {},
+      merges: {},
+      directions,
+    };
+  }
+
+  /**
+   * Load statistics from localStorage, dropping any invalid games
+   * Totals that don't validate are rebuilt from the stored games
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read statistics:", e);
+    }
+    if (!stored) return;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.version !== this.VERSION) return;
+
+    const games = Array.isArray(data.games) ? data.games : [];
+    this.games = games
+      .map((game) => this.validateGame(game))
+      .filter(Boolean)
+      .slice(-this.limit);
+
+    const totals = this.validateTotals(data.totals);
+    if (totals) {
+      this.totals = totals;
+    } else {
+      this.totals = this.createTotals();
+      this.games.forEach((game) => this.addToTotals(game, 1));
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({
+          version: this.VERSION,
+          totals: this.totals,
+          games: this.games,
+        })
+      );
+    } catch (e) {
+      console.warn("Unable to save statistics:", e);
+    }
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean}
+   */
+  isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+  }
+
+  /**
+   * @param {*} value
+   * @returns {boolean} - Whether value is a tile (power of two up to MAX_TILE)
+   */
+  isTile(value) {
+    return (
+      Number.isInteger(value) &&
+      value >= 2 &&
+      value <= this.MAX_TILE &&
+      (value & (value - 1)) === 0
+    );
+  }
+
+  /**
+   * Validates a count per tile value, such as merges or highest tiles
+   * Security: Only tile keys and whole counts, so tampered data can't add
+   * arbitrary labels or break the charts
+   * @param {*} counts
+   * @returns {Object<string, number>|null} - Sanitized copy, or null if invalid
+   */
+  validateTileCounts(counts) {
+    if (!counts || typeof counts !== "object" || Array.isArray(counts)) {
+      return null;
+    }
+
+    const valid = {};
+    for (const key of Object.keys(counts)) {
+      const tile = Number(key);
+      if (!this.isTile(tile) || String(tile) !== key) return null;
+      if (!this.isCount(counts[key])) return null;
+      valid[key] = counts[key];
+    }
+    return valid;
+  }
+
+  /**
+   * Validates a count per move direction
+   * @param {*} directions
+   * @returns {Object<string, number>|null}
+   */
+  validateDirections(directions) {
+    if (!directions || typeof directions !== "object") return null;
+
+    const valid = {};
+    for (const direction of this.DIRECTIONS) {
+      if (!this.isCount(directions[direction])) return null;
+      valid[direction] = directions[direction];
+    }
+    return valid;
+  }
+
+  /**
+   * Validates a stored game
+   * Security: Keep only well-formed numbers, dates and known difficulties so
+   * the panel and exports never carry tampered data
+   * @param {*} game - The game to validate
+   * @returns {Object|null} - Sanitized game, or null if invalid
+   */
+  validateGame(game) {
+    if (!game || typeof game !== "object") return null;
+    if (typeof game.id !== "string" || !/^[\w-]{1,64}$/.test(game.id)) {
+      return null;
+    }
+    // ISO dates only, as written by Date.toISOString()
+    if (
+      typeof game.date !== "string" ||
+      !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(game.date) ||
+      isNaN(Date.parse(game.date))
+    ) {
+      return null;
+    }
+    if (typeof game.mode !== "string" || !/^[a-z-]{1,32}$/.test(game.mode)) {
+      return null;
+    }
+    if (!this.difficulties.includes(game.difficulty)) return null;
+
+    const counts = [game.size, game.score, game.moves, game.duration];
+    if (!counts.every((value) => this.isCount(value))) return null;
+    if (!this.isTile(game.maxTile)) return null;
+    if (typeof game.won !== "boolean") return null;
+
+    const merges = this.validateTileCounts(game.merges);
+    const directions = this.validateDirections(game.directions);
+    if (!merges || !directions) return null;
+
+    return {
+      id: game.id,
+      date: game.date,
+      mode: game.mode,
+      difficulty: game.difficulty,
+      size: game.size,
+      score: game.score,
+      maxTile: game.maxTile,
+      moves: game.moves,
+      duration: game.duration,
+      won: game.won,
+      merges,
+      directions,
+    };
+  }
+
+  /**
+   * Validates stored lifetime totals
+   * @param {*} totals
+   * @returns {Object|null} - Sanitized totals, or null if invalid
+   */
+  validateTotals(totals) {
+    if (!totals || typeof totals !== "object") return null;
+
+    const counts = [totals.games, totals.score, totals.moves, totals.duration];
+    if (!counts.every((value) => this.isCount(value))) return null;
+
+    const difficulties = {};
+    const stored = totals.difficulties || {};
+    for (const difficulty of this.difficulties) {
+      const entry = stored[difficulty] || { games: 0, wins: 0 };
+      if (!this.isCount(entry.games) || !this.isCount(entry.wins)) return null;
+      if (entry.wins > entry.games) return null;
+      difficulties[difficulty] = { games: entry.games, wins: entry.wins };
+    }
+
+    const maxTiles = this.validateTileCounts(totals.maxTiles);
+    const merges = this.validateTileCounts(totals.merges);
+    const directions = this.validateDirections(totals.directions);
+    if (!maxTiles || !merges || !directions) return null;
+
+    return {
+      games: totals.games,
+      score: totals.score,
+      moves: totals.moves,
+      duration: totals.duration,
+      difficulties,
+      maxTiles,
+      merges,
+      directions,
+    };
+  }
+
+  /**
+   * Add a game to the lifetime totals, or take it back out
+   * @param {Object} game - Validated game
+   * @param {number} sign - 1 to add, -1 to remove
+   */
+  addToTotals(game, sign) {
+    const totals = this.totals;
+    const add = (counts, key, amount) => {
+      counts[key] = Math.max(0, (counts[key] || 0) + sign * amount);
+      if (counts[key] === 0) delete counts[key];
+    };
+
+    totals.games += sign;
+    totals.score += sign * game.score;
+    totals.moves += sign * game.moves;
+    totals.duration += sign * game.duration;
+
+    const difficulty = totals.difficulties[game.difficulty];
+    difficulty.games += sign;
+    if (game.won) difficulty.wins += sign;
+
+    add(totals.maxTiles, game.maxTile, 1);
+    Object.keys(game.merges).forEach((value) => {
+      add(totals.merges, value, game.merges[value]);
+    });
+    this.DIRECTIONS.forEach((direction) => {
+      totals.directions[direction] += sign * game.directions[direction];
+    });
+  }
+
+  /**
+   * Add or update a finished game
+   * @param {Object} game - {id, date, mode, difficulty, size, score, maxTile,
+   *   moves, duration, won, merges, directions}
+   * @returns {boolean} - False if the game is invalid
+   */
+  record(game) {
+    const valid = this.validateGame(game);
+    if (!valid) return false;
+
+    // The same game can end more than once (undo after game over); keep the latest
+    const index = this.games.findIndex((item) => item.id === valid.id);
+    if (index !== -1) {
+      this.addToTotals(this.games[index], -1);
+      this.games.splice(index, 1);
+    }
+
+    this.games.push(valid);
+    this.addToTotals(valid, 1);
+    this.games = this.games.slice(-this.limit);
+    this.save();
+    return true;
+  }
+
+  /**
+   * Lifetime headline numbers
+   * @returns {{games: number, wins: number, averageScore: number, averageMoves: number, duration: number}}
+   */
+  getSummary() {
+    const { games, score, moves, duration, difficulties } = this.totals;
+    const wins = Object.keys(difficulties).reduce(
+      (sum, difficulty) => sum + difficulties[difficulty].wins,
+      0
+    );
+
+    return {
+      games,
+      wins,
+      averageScore: games ? Math.round(score / games) : 0,
+      averageMoves: games ? Math.round(moves / games) : 0,
+      duration,
+    };
+  }
+
+  /**
+   * Games and wins for each difficulty
+   * @returns {{difficulty: string, games: number, wins: number}[]}
+   */
+  getWinRates() {
+    return this.difficulties.map((difficulty) => ({
+      difficulty,
+      ...this.totals.difficulties[difficulty],
+    }));
+  }
+
+  /**
+   * A per-tile total in ascending tile order
+   * @param {string} name - "maxTiles" or "merges"
+   * @returns {{value: number, count: number}[]}
+   */
+  getTileCounts(name) {
+    const counts = this.totals[name];
+    return Object.keys(counts)
+      .map((value) => ({ value: Number(value), count: counts[value] }))
+      .sort((a, b) => a.value - b.value);
+  }
+
+  /**
+   * @returns {Object<string, number>} - Moves made in each direction
+   */
+  getDirections() {
+    return { ...this.totals.directions };
+  }
+
+  /**
+   * Most recent games, oldest first
+   * @param {number} count
+   * @returns {Object[]}
+   */
+  getRecentGames(count) {
+    return this.games.slice(-count);
+  }
+
+  /**
+   * Raw data for the JSON export
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      format: "2048-stats",
+      version: this.VERSION,
+      totals: this.totals,
+      games: this.games,
+    };
+  }
+
+  /**
+   * Stored games as CSV, one row per game with a column per merged tile value
+   * @returns {string}
+   */
+  toCSV() {
+    const mergeValues = [];
+    this.games.forEach((game) => {
+      Object.keys(game.merges).forEach((value) => {
+        if (!mergeValues.includes(Number(value))) {
+          mergeValues.push(Number(value));
+        }
+      });
+    });
+    mergeValues.sort((a, b) => a - b);
+
+    const fields = [
+      "id",
+      "date",
+      "mode",
+      "difficulty",
+      "size",
+      "score",
+      "maxTile",
+      "moves",
+      "duration",
+      "won",
+    ];
+    const header = [
+      ...fields,
+      ...this.DIRECTIONS.map((direction) => `moves_${direction}`),
+      ...mergeValues.map((value) => `merges_${value}`),
+    ];
+
+    // Every field is validated to letters, digits, "-", ":" and "." so
+    // nothing needs quoting
+    const rows = this.games.map((game) =>
+      [
+        ...fields.map((field) => game[field]),
+        ...this.DIRECTIONS.map((direction) => game.directions[direction]),
+        ...mergeValues.map((value) => game.merges[value] || 0),
+      ].join(",")
+    );
+    return [header.join(","), ...rows].join("\n") + "\n";
+  }
+
+  /**
+   * Forget every game and total
+   */
+  clear() {
+    this.games = [];
+    this.totals = this.createTotals();
+    this.save();
+  }
+}
+
+// Expose to Node alongside GameEngine; browsers pick up the global class
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = GameStats;
+}
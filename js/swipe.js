@@ -0,0 +1,240 @@
+/**
+ * 2048 Swipe Input
+ * Turns touch, pen and mouse drags on the board into moves through Pointer
+ * Events. How far a swipe must travel, how far off-axis it may point and
+ * whether quick flicks count are player settings kept in localStorage.
+ */
+
+class SwipeInput {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.element - Area that takes swipes
+   * @param {Function} options.onSwipe - Called with "up", "down", "left" or "right"
+   * @param {string} [options.storageKey="2048-swipe"]
+   */
+  constructor({ element, onSwipe, storageKey = "2048-swipe" }) {
+    this.element = element;
+    this.onSwipe = onSwipe;
+    this.storageKey = storageKey;
+    this.VERSION = 1;
+
+    // Minimum travel in pixels for each sensitivity level, least to most sensitive
+    this.DISTANCES = [60, 45, 30, 20, 12];
+    this.MAX_DEADZONE = 30; // degrees either side of the diagonal
+    this.FLICK_DISTANCE = 8; // px a flick still has to travel
+    this.FLICK_SPEED = 0.5; // px per ms
+    this.SAMPLE_WINDOW = 100; // ms of movement used to measure speed
+
+    this.defaults = { sensitivity: 3, deadzone: 15, flick: true };
+    this.settings = { ...this.defaults };
+
+    // The pointer being tracked: {id, startX, startY, samples}
+    this.active = null;
+
+    this.handleDown = (e) => this.pointerDown(e);
+    this.handleMove = (e) => this.pointerMove(e);
+    this.handleUp = (e) => this.pointerUp(e);
+    this.handleCancel = () => {
+      this.active = null;
+    };
+
+    if (!this.element || !("PointerEvent" in window)) return;
+    this.element.addEventListener("pointerdown", this.handleDown);
+    this.element.addEventListener("pointermove", this.handleMove);
+    this.element.addEventListener("pointerup", this.handleUp);
+    this.element.addEventListener("pointercancel", this.handleCancel);
+  }
+
+  /**
+   * Validates swipe settings
+   * Security: Accept only a whole sensitivity level, a deadzone in range and a
+   * boolean so stored data can't disable or break swiping
+   * @param {*} settings - The settings to validate
+   * @returns {boolean}
+   */
+  isValidSettings(settings) {
+    if (!settings || typeof settings !== "object") return false;
+
+    const { sensitivity, deadzone, flick } = settings;
+    if (!Number.isInteger(sensitivity)) return false;
+    if (sensitivity < 1 || sensitivity > this.DISTANCES.length) return false;
+    if (!Number.isInteger(deadzone)) return false;
+    if (deadzone < 0 || deadzone > this.MAX_DEADZONE) return false;
+    return typeof flick === "boolean";
+  }
+
+  /**
+   * Load saved settings, keeping the defaults if they are missing or invalid
+   */
+  load() {
+    let stored = null;
+    try {
+      stored = localStorage.getItem(this.storageKey);
+    } catch (e) {
+      console.warn("Unable to read swipe settings:", e);
+    }
+    if (!stored) return;
+
+    let data;
+    try {
+      data = JSON.parse(stored);
+    } catch (e) {
+      return;
+    }
+    if (!data || data.version !== this.VERSION) return;
+
+    if (this.isValidSettings(data.settings)) {
+      const { sensitivity, deadzone, flick } = data.settings;
+      this.settings = { sensitivity, deadzone, flick };
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify({ version: this.VERSION, settings: this.settings })
+      );
+    } catch (e) {
+      console.warn("Unable to save swipe settings:", e);
+    }
+  }
+
+  /**
+   * Change some settings
+   * @param {Object} changes - Any of {sensitivity, deadzone, flick}
+   * @returns {boolean} - False if the result would be invalid
+   */
+  update(changes) {
+    const settings = { ...this.settings, ...changes };
+    if (!this.isValidSettings(settings)) return false;
+
+    this.settings = settings;
+    this.save();
+    return true;
+  }
+
+  /**
+   * Go back to the default settings
+   */
+  reset() {
+    this.settings = { ...this.defaults };
+    this.save();
+  }
+
+  pointerDown(e) {
+    if (this.active || !e.isPrimary) return;
+    // Left button only, and leave clicks on buttons inside the board alone
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+    if (e.target.closest && e.target.closest("button, a, input")) return;
+
+    this.active = {
+      id: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      samples: [{ x: e.clientX, y: e.clientY, time: e.timeStamp }],
+    };
+
+    // Keep receiving the pointer when a drag leaves the board
+    if (this.element.setPointerCapture) {
+      try {
+        this.element.setPointerCapture(e.pointerId);
+      } catch (err) {
+        // The pointer is already gone; pointerup never arrives either
+        this.active = null;
+      }
+    }
+  }
+
+  pointerMove(e) {
+    if (!this.active || e.pointerId !== this.active.id) return;
+
+    this.addSample(e);
+    e.preventDefault();
+  }
+
+  pointerUp(e) {
+    if (!this.active || e.pointerId !== this.active.id) return;
+
+    this.addSample(e);
+    const { startX, startY } = this.active;
+    const direction = this.getDirection(
+      e.clientX - startX,
+      e.clientY - startY,
+      this.getSpeed()
+    );
+    this.active = null;
+
+    if (direction) this.onSwipe(direction);
+  }
+
+  /**
+   * Remember where the pointer was, dropping samples too old to affect speed
+   * @param {PointerEvent} e
+   */
+  addSample(e) {
+    const samples = this.active.samples;
+    samples.push({ x: e.clientX, y: e.clientY, time: e.timeStamp });
+    while (
+      samples.length > 2 &&
+      e.timeStamp - samples[1].time > this.SAMPLE_WINDOW
+    ) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Speed over the last moments of the swipe, so a slow drag that ends in a
+   * jerk still reads as a flick
+   * @returns {number} - px per ms
+   */
+  getSpeed() {
+    const samples = this.active.samples;
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const elapsed = last.time - first.time;
+    if (elapsed <= 0) return 0;
+
+    return Math.hypot(last.x - first.x, last.y - first.y) / elapsed;
+  }
+
+  /**
+   * Direction of a finished swipe
+   * @param {number} deltaX - Horizontal travel in px, positive to the right
+   * @param {number} deltaY - Vertical travel in px, positive downwards
+   * @param {number} [speed=0] - Release speed in px per ms
+   * @returns {string|null} - null for taps, short drags and ambiguous angles
+   */
+  getDirection(deltaX, deltaY, speed = 0) {
+    const { sensitivity, deadzone, flick } = this.settings;
+    const distance = Math.hypot(deltaX, deltaY);
+
+    const isFlick =
+      flick && distance >= this.FLICK_DISTANCE && speed >= this.FLICK_SPEED;
+    if (distance < this.DISTANCES[sensitivity - 1] && !isFlick) return null;
+
+    // Degrees away from the nearer axis: 0 is straight, 45 a perfect diagonal
+    const absX = Math.abs(deltaX);
+    const absY = Math.abs(deltaY);
+    const angle =
+      (Math.atan2(Math.min(absX, absY), Math.max(absX, absY)) * 180) / Math.PI;
+    if (angle > 45 - deadzone) return null;
+
+    if (absX > absY) {
+      return deltaX > 0 ? "right" : "left";
+    }
+    return deltaY > 0 ? "down" : "up";
+  }
+
+  /**
+   * Stop listening to the board
+   */
+  destroy() {
+    this.active = null;
+    if (!this.element || !("PointerEvent" in window)) return;
+    this.element.removeEventListener("pointerdown", this.handleDown);
+    this.element.removeEventListener("pointermove", this.handleMove);
+    this.element.removeEventListener("pointerup", this.handleUp);
+    this.element.removeEventListener("pointercancel", this.handleCancel);
+  }
+}
@@ -0,0 +1,477 @@
+/**
+ * 2048 Versus
+ * Online race between two browsers over a WebRTC data channel. Both boards
+ * are shown on each side: yours, and a copy of your opponent's that is
+ * rebuilt from their moves. Every move they send is played through the game
+ * rules on the same seed, and the board and score they report must match
+ * the result, so a tampered client is caught straight away.
+ *
+ * The host picks the seed, board size and difficulty; the guest plays what
+ * the host sends. Each side judges the race from its own two boards and
+ * never takes the other's word for the result, so when both reach the target
+ * while their winning moves cross on the network, each sees itself win.
+ */
+
+class Versus {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.container - The two boards are built in here
+   * @param {HTMLElement} [options.resultElement] - Shows who won
+   * @param {HTMLElement} [options.statusElement] - Shows the connection state
+   * @param {Function} options.getRules - Rules for a difficulty name
+   * @param {string[]} options.difficulties
+   * @param {Object[]} [options.iceServers=[]] - STUN/TURN servers; without
+   *   any, players must be on the same network
+   */
+  constructor({
+    container,
+    resultElement = null,
+    statusElement = null,
+    getRules,
+    difficulties,
+    iceServers = [],
+  }) {
+    this.statusElement = statusElement;
+    this.getRules = getRules;
+    this.difficulties = difficulties;
+    this.iceServers = iceServers;
+    this.MAX_MESSAGE_LENGTH = 16 * 1024;
+    this.MAX_SDP_LENGTH = 64 * 1024;
+    this.DIRECTIONS = ["up", "down", "left", "right"];
+    this.reducedMotion = false;
+
+    const keys = {
+      ArrowUp: "up",
+      ArrowLeft: "left",
+      ArrowDown: "down",
+      ArrowRight: "right",
+      w: "up",
+      a: "left",
+      s: "down",
+      d: "right",
+    };
+    this.race = new Race({
+      container,
+      resultElement,
+      players: [
+        { name: "You", title: "You win", keyLabel: "Arrows or WASD", keys },
+        {
+          name: "Opponent",
+          title: "Your opponent wins",
+          keyLabel: "Online",
+          remote: true,
+        },
+      ],
+      onMove: (index, direction) => this.afterMove(index, direction),
+      judge: false,
+    });
+
+    this.connection = null;
+    this.channel = null;
+    this.signalling = null;
+    this.role = null; // "host" or "guest"
+    this.settings = null;
+    this.localMoves = 0;
+    this.remoteMoves = 0;
+  }
+
+  /**
+   * Whether a match is being set up or played
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.connection !== null || this.race.isActive();
+  }
+
+  /**
+   * Whether this browser has WebRTC data channels
+   * @returns {boolean}
+   */
+  isSupported() {
+    return typeof RTCPeerConnection !== "undefined";
+  }
+
+  /**
+   * Offer a match; the guest answers through the same signalling
+   * @param {Object} signalling - Adapter, see js/signalling.js
+   * @param {{size: number, difficulty: string}} settings - Board to race on
+   * @returns {Promise<void>}
+   */
+  host(signalling, settings) {
+    this.leave();
+    this.role = "host";
+    this.settings = settings;
+    this.signalling = signalling;
+    this.createConnection();
+    this.setupChannel(this.connection.createDataChannel("2048-versus"));
+    this.setStatus("Creating an invitation…");
+
+    return signalling
+      .connect((message) => this.handleSignal(message))
+      .then(() => this.connection.createOffer())
+      .then((offer) => this.connection.setLocalDescription(offer))
+      .then(() => this.waitForCandidates())
+      .then(() => {
+        signalling.send({
+          type: "offer",
+          sdp: this.connection.localDescription.sdp,
+        });
+        this.setStatus("Waiting for your opponent to answer…");
+      })
+      .catch((e) => this.fail(e));
+  }
+
+  /**
+   * Wait for a host's offer and answer it
+   * @param {Object} signalling - Adapter, see js/signalling.js
+   * @returns {Promise<void>}
+   */
+  join(signalling) {
+    this.leave();
+    this.role = "guest";
+    this.signalling = signalling;
+    this.createConnection();
+    this.connection.addEventListener("datachannel", (e) => {
+      this.setupChannel(e.channel);
+    });
+    this.setStatus("Waiting for the host's invitation…");
+
+    return signalling
+      .connect((message) => this.handleSignal(message))
+      .catch((e) => this.fail(e));
+  }
+
+  createConnection() {
+    this.connection = new RTCPeerConnection({ iceServers: this.iceServers });
+    this.connection.addEventListener("connectionstatechange", () => {
+      const state = this.connection && this.connection.connectionState;
+      if (state === "failed" || state === "disconnected") {
+        this.setStatus("Connection lost.");
+      }
+    });
+  }
+
+  /**
+   * Gather every network candidate into the local description, so one
+   * offer and one answer are all that has to be exchanged
+   * @returns {Promise<void>}
+   */
+  waitForCandidates() {
+    const connection = this.connection;
+    if (connection.iceGatheringState === "complete") return Promise.resolve();
+
+    return new Promise((resolve) => {
+      const check = () => {
+        if (connection.iceGatheringState === "complete") {
+          connection.removeEventListener("icegatheringstatechange", check);
+          resolve();
+        }
+      };
+      connection.addEventListener("icegatheringstatechange", check);
+    });
+  }
+
+  /**
+   * Validates a signalling message
+   * Security: Only an offer or answer of bounded size reaches WebRTC; anything
+   * else from the adapter is dropped
+   * @param {*} message
+   * @returns {Object|null}
+   */
+  validateSignal(message) {
+    if (!message || typeof message !== "object") return null;
+    if (!["offer", "answer"].includes(message.type)) return null;
+    if (typeof message.sdp !== "string") return null;
+    if (message.sdp.length > this.MAX_SDP_LENGTH) return null;
+    return { type: message.type, sdp: message.sdp };
+  }
+
+  /**
+   * Take the peer's offer (as guest) or answer (as host)
+   * @param {*} message - From the signalling adapter
+   */
+  handleSignal(message) {
+    const signal = this.validateSignal(message);
+    if (!signal || !this.connection) return;
+
+    if (this.role === "host" && signal.type === "answer") {
+      this.connection
+        .setRemoteDescription(signal)
+        .then(() => this.setStatus("Connecting…"))
+        .catch((e) => this.fail(e));
+    } else if (this.role === "guest" && signal.type === "offer") {
+      this.setStatus("Answering the invitation…");
+      this.connection
+        .setRemoteDescription(signal)
+        .then(() => this.connection.createAnswer())
+        .then((answer) => this.connection.setLocalDescription(answer))
+        .then(() => this.waitForCandidates())
+        .then(() => {
+          this.signalling.send({
+            type: "answer",
+            sdp: this.connection.localDescription.sdp,
+          });
+          this.setStatus("Waiting for the host to connect…");
+        })
+        .catch((e) => this.fail(e));
+    }
+  }
+
+  /**
+   * @param {RTCDataChannel|Object} channel - Anything with send(), close()
+   *   and open/message/close events
+   */
+  setupChannel(channel) {
+    this.channel = channel;
+
+    channel.addEventListener("open", () => {
+      this.setStatus("Connected.");
+      if (this.signalling) this.signalling.close();
+      this.rematch();
+    });
+    channel.addEventListener("message", (e) => this.handleMessage(e.data));
+    channel.addEventListener("close", () => {
+      if (this.channel === channel) {
+        this.setStatus("Your opponent has left.");
+      }
+    });
+  }
+
+  /**
+   * Start a match on a new seed; only the host picks seeds
+   */
+  rematch() {
+    if (this.role !== "host" || !this.channel) return;
+    // The guest ignores a new start until the race in play is over
+    if (this.isRacing()) {
+      this.setStatus("Finish this race before starting another.");
+      return;
+    }
+
+    const { size, difficulty } = this.settings;
+    const start = {
+      type: "start",
+      seed: SeededRandom.generateSeed(),
+      size,
+      difficulty,
+    };
+    this.send(start);
+    this.startMatch(start);
+  }
+
+  /**
+   * @param {Object} message
+   */
+  send(message) {
+    if (this.channel && this.channel.readyState === "open") {
+      this.channel.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Validates a message from the opponent
+   * Security: The peer is untrusted; only known message types with
+   * well-formed fields are acted on, and moves are checked again by the rules
+   * @param {*} text - Raw data channel payload
+   * @returns {Object|null}
+   */
+  validateMessage(text) {
+    if (typeof text !== "string" || text.length > this.MAX_MESSAGE_LENGTH) {
+      return null;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (e) {
+      return null;
+    }
+    if (!message || typeof message !== "object") return null;
+
+    // Every message names its match by seed
+    const { seed } = message;
+    if (typeof seed !== "string" || !/^[A-Z0-9]{1,16}$/.test(seed)) {
+      return null;
+    }
+
+    if (message.type === "start") {
+      const { size, difficulty } = message;
+      if (!Number.isInteger(size) || size < 3 || size > 8) return null;
+      if (!this.difficulties.includes(difficulty)) return null;
+      return { type: "start", seed, size, difficulty };
+    }
+
+    if (message.type === "move") {
+      const { n, direction, grid, score } = message;
+      if (!Number.isInteger(n) || n < 1) return null;
+      if (!this.DIRECTIONS.includes(direction)) return null;
+      if (!Number.isInteger(score) || score < 0) return null;
+      if (!Array.isArray(grid) || !grid.every(Array.isArray)) return null;
+      return { type: "move", seed, n, direction, grid, score };
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {*} text - Raw data channel payload
+   */
+  handleMessage(text) {
+    const message = this.validateMessage(text);
+    if (!message) {
+      this.disqualify("sent a message this game doesn't understand");
+      return;
+    }
+
+    // A start in the middle of a race would wipe the boards being judged
+    if (message.type === "start" && this.role === "guest") {
+      if (!this.isRacing()) this.startMatch(message);
+    } else if (message.type === "move") {
+      this.receiveMove(message);
+    }
+  }
+
+  /**
+   * Whether a race is being played and has no winner yet
+   * @returns {boolean}
+   */
+  isRacing() {
+    return this.race.isActive() && this.race.winner === null;
+  }
+
+  /**
+   * Build both boards for the agreed seed, size and difficulty
+   * @param {{seed: string, size: number, difficulty: string}} start
+   */
+  startMatch({ seed, size, difficulty }) {
+    this.localMoves = 0;
+    this.remoteMoves = 0;
+    this.race.start({
+      seed,
+      size,
+      rules: this.getRules(difficulty),
+      reducedMotion: this.reducedMotion,
+    });
+  }
+
+  /**
+   * Tell the opponent about our move, and judge the race
+   * @param {number} index - 0 for our board, 1 for the opponent's copy
+   * @param {string} direction
+   */
+  afterMove(index, direction) {
+    if (index === 0) {
+      const { engine } = this.race.players[0].game;
+      this.localMoves++;
+      this.send({
+        type: "move",
+        seed: this.race.seed,
+        n: this.localMoves,
+        direction,
+        grid: engine.grid,
+        score: engine.score,
+      });
+    }
+    // Opponent moves are judged once receiveMove() has checked them
+    if (index === 0) this.judge();
+  }
+
+  /**
+   * Decide the race from our own board and our checked copy of theirs
+   */
+  judge() {
+    if (this.race.winner !== null) return;
+
+    const [ours, theirs] = this.race.players;
+    let winner = null;
+    if (ours.game.won) {
+      winner = 0;
+    } else if (theirs.game.won) {
+      winner = 1;
+    } else if (ours.game.over && theirs.game.over) {
+      winner = this.race.getLeader();
+    }
+    if (winner !== null) this.race.finish(winner);
+  }
+
+  /**
+   * Play an opponent's move on our copy of their board and check it
+   * @param {{seed: string, n: number, direction: string, grid: number[][], score: number}} message
+   */
+  receiveMove(message) {
+    // Moves still in flight when the race ended don't count, nor do any
+    // arriving from an earlier match after a rematch
+    if (!this.race.isActive() || this.race.winner !== null) return;
+    if (message.seed !== this.race.seed) return;
+
+    if (message.n !== this.remoteMoves + 1) {
+      this.disqualify("sent moves out of order");
+      return;
+    }
+    this.remoteMoves = message.n;
+
+    const result = this.race.move(1, message.direction);
+    if (!result || !result.moved) {
+      this.disqualify(`made an illegal move (${message.direction})`);
+      return;
+    }
+
+    const { engine } = this.race.players[1].game;
+    const sameGrid =
+      JSON.stringify(engine.grid) === JSON.stringify(message.grid);
+    if (!sameGrid || engine.score !== message.score) {
+      this.disqualify("reported a board the rules don't produce");
+      return;
+    }
+    this.judge();
+  }
+
+  /**
+   * End the match in our favour because the opponent broke the rules
+   * @param {string} reason - Finishes "Your opponent …"
+   */
+  disqualify(reason) {
+    // Whatever arrives after the result can't change it
+    if (this.race.winner !== null) return;
+
+    const text = `Your opponent ${reason}, so the match goes to you.`;
+    this.race.finish(0, text);
+    this.setStatus("Match ended: rules broken.");
+
+    // Drop the channel first so its close event isn't reported as a leave
+    const channel = this.channel;
+    this.channel = null;
+    if (channel) channel.close();
+  }
+
+  /**
+   * @param {Error} e
+   */
+  fail(e) {
+    console.warn("Versus connection failed:", e);
+    this.setStatus(`Couldn't connect: ${e.message}`);
+  }
+
+  /**
+   * Close the connection and take the boards down
+   */
+  leave() {
+    if (this.signalling) this.signalling.close();
+    if (this.channel) this.channel.close();
+    if (this.connection) this.connection.close();
+    this.signalling = null;
+    this.channel = null;
+    this.connection = null;
+    this.role = null;
+    this.race.stop();
+    this.setStatus("");
+  }
+
+  /**
+   * @param {string} text
+   */
+  setStatus(text) {
+    // Security: Use textContent for safe DOM updates
+    if (this.statusElement) this.statusElement.textContent = text;
+  }
+}
@@ -0,0 +1,474 @@
+/**
+ * 2048 Widget
+ * A self-contained game that mounts into any element, for embedding 2048 in
+ * other pages. Each widget builds its own markup, keeps its best score and
+ * game in progress under its own storage namespace and reports play through
+ * events, so a page can run as many as it likes:
+ *
+ *   const widget = create2048(element, { size: 4, difficulty: "easy" });
+ *   widget.on("win", ({ score }) => console.log(`Won with ${score}`));
+ *   widget.destroy();
+ *
+ * The board itself is a BoardGame, the same core as the full game and each
+ * race board; the widget adds its own markup, storage and keys around it.
+ *
+ * Needs random.js, engine.js, difficulty.js, board-view.js, board-game.js,
+ * swipe.js and css/style.css.
+ */
+
+class Game2048Widget {
+  /**
+   * @param {HTMLElement} element - The widget is built inside this element
+   * @param {Object} [options]
+   * @param {number} [options.size=4] - Board size, 3 to 8
+   * @param {string} [options.difficulty="medium"] - See js/difficulty.js
+   * @param {string} [options.namespace="2048-widget"] - Prefix of every
+   *   localStorage key; widgets sharing one also share a best score and game
+   */
+  constructor(element, options = {}) {
+    if (!element || typeof element.appendChild !== "function") {
+      throw new TypeError("create2048() needs an element to mount into");
+    }
+
+    this.element = element;
+    this.size = this.validateSize(options.size);
+    this.difficulty = DifficultyRules.get(options.difficulty)
+      ? options.difficulty
+      : "medium";
+    this.namespace = this.validateNamespace(options.namespace);
+    this.rules = DifficultyRules.get(this.difficulty);
+    this.SAVE_VERSION = 1;
+    this.KEYS = {
+      ArrowUp: "up",
+      ArrowLeft: "left",
+      ArrowDown: "down",
+      ArrowRight: "right",
+      w: "up",
+      a: "left",
+      s: "down",
+      d: "right",
+    };
+
+    this.build();
+    this.board = new BoardView({
+      container: this.boardElement,
+      grid: this.gridElement,
+      tiles: this.tilesElement,
+    });
+    this.board.reducedMotion = Boolean(
+      window.matchMedia &&
+        window.matchMedia("(prefers-reduced-motion: reduce)").matches
+    );
+    this.board.build(this.size);
+    this.play = new BoardGame({
+      view: this.board,
+      size: this.size,
+      rules: this.rules,
+      best: this.loadBest(),
+    });
+    this.engine = this.play.engine;
+    this.swipe = new SwipeInput({
+      element: this.boardElement,
+      onSwipe: (direction) => this.move(direction),
+      storageKey: `${this.namespace}-swipe`,
+    });
+    this.swipe.load();
+
+    // Every listener is kept so destroy() can remove it again
+    this.handleKeydown = (e) => this.keydown(e);
+    this.handleActivate = () => {
+      Game2048Widget.active = this;
+    };
+    this.handleNewGame = () => this.newGame();
+    this.handleKeepGoing = () => this.continuePlaying();
+    document.addEventListener("keydown", this.handleKeydown);
+    this.root.addEventListener("pointerdown", this.handleActivate);
+    this.root.addEventListener("focusin", this.handleActivate);
+    this.newGameButton.addEventListener("click", this.handleNewGame);
+    this.retryButton.addEventListener("click", this.handleNewGame);
+    this.keepGoingButton.addEventListener("click", this.handleKeepGoing);
+    if (!Game2048Widget.active) Game2048Widget.active = this;
+
+    const saved = this.loadGame();
+    if (saved) {
+      this.resume(saved);
+    } else {
+      this.newGame();
+    }
+  }
+
+  /**
+   * Validates the size option
+   * @param {*} value
+   * @returns {number} - 3 to 8, or 4 by default
+   */
+  validateSize(value) {
+    return Number.isInteger(value) && value >= 3 && value <= 8 ? value : 4;
+  }
+
+  /**
+   * Validates the storage namespace option
+   * Security: Keep keys short and predictable so a host page can't collide
+   * with the main game's keys by accident
+   * @param {*} value
+   * @returns {string}
+   */
+  validateNamespace(value) {
+    if (typeof value === "string" && /^[\w-]{1,32}$/.test(value)) {
+      return value;
+    }
+    return "2048-widget";
+  }
+
+  /**
+   * @param {string} name
+   * @returns {string} - localStorage key for this widget's size and difficulty
+   */
+  key(name) {
+    return `${this.namespace}-${name}-${this.size}-${this.difficulty}`;
+  }
+
+  /**
+   * Build the score bar, board and message overlay
+   */
+  build() {
+    const root = document.createElement("div");
+    root.className = "widget-2048";
+
+    const header = document.createElement("div");
+    header.className = "widget-header";
+    const score = this.createScore("Score");
+    const best = this.createScore("Best");
+    const newGame = document.createElement("button");
+    newGame.className = "new-game-btn";
+    newGame.type = "button";
+    newGame.textContent = "New Game";
+    header.append(score.element, best.element, newGame);
+
+    const board = document.createElement("div");
+    board.className = "game-container widget-board";
+    const grid = document.createElement("div");
+    grid.className = "grid-container";
+    grid.setAttribute("role", "grid");
+    grid.setAttribute("aria-label", "Game board");
+    grid.setAttribute("aria-readonly", "true");
+    grid.tabIndex = 0;
+    const tiles = document.createElement("div");
+    tiles.className = "tile-container";
+    tiles.setAttribute("aria-hidden", "true");
+
+    const message = document.createElement("div");
+    message.className = "game-message";
+    message.setAttribute("role", "alertdialog");
+    const title = document.createElement("h2");
+    const keepGoing = document.createElement("button");
+    keepGoing.className = "try-again-btn";
+    keepGoing.type = "button";
+    keepGoing.textContent = "Keep Going";
+    const retry = document.createElement("button");
+    retry.className = "try-again-btn";
+    retry.type = "button";
+    retry.textContent = "Try Again";
+    message.append(title, keepGoing, retry);
+    board.append(grid, tiles, message);
+
+    // Spoken results of each move
+    const status = document.createElement("div");
+    status.className = "visually-hidden";
+    status.setAttribute("role", "status");
+
+    root.append(header, board, status);
+    this.element.appendChild(root);
+
+    this.root = root;
+    this.scoreElement = score.value;
+    this.bestElement = best.value;
+    this.newGameButton = newGame;
+    this.boardElement = board;
+    this.gridElement = grid;
+    this.tilesElement = tiles;
+    this.messageElement = message;
+    this.messageTitle = title;
+    this.keepGoingButton = keepGoing;
+    this.retryButton = retry;
+    this.statusElement = status;
+  }
+
+  /**
+   * @param {string} label
+   * @returns {{element: HTMLElement, value: HTMLElement}}
+   */
+  createScore(label) {
+    const element = document.createElement("div");
+    element.className = "score-container";
+    const title = document.createElement("div");
+    title.className = "score-title";
+    title.textContent = label;
+    const value = document.createElement("div");
+    value.className = "score-value";
+    element.append(title, value);
+    return { element, value };
+  }
+
+  /**
+   * Listen for a widget event, see BoardGame
+   * @param {string} name - move, merge, score, milestone, win or gameover
+   * @param {Function} listener - Called with the event's details
+   * @returns {Function} - Call to stop listening
+   */
+  on(name, listener) {
+    return this.play.on(name, listener);
+  }
+
+  /**
+   * @param {string} name
+   * @param {Function} listener - As passed to on()
+   */
+  off(name, listener) {
+    this.play.off(name, listener);
+  }
+
+  /**
+   * Best score for this widget's size and difficulty
+   * @returns {number}
+   */
+  get best() {
+    return this.play.best;
+  }
+
+  /**
+   * Take arrow and WASD keys while this widget has focus, or while nothing
+   * on the page does and this was the last widget used
+   * @param {KeyboardEvent} e
+   */
+  keydown(e) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+
+    const focused = document.activeElement;
+    const idle = !focused || focused === document.body;
+    const ours = idle
+      ? Game2048Widget.active === this
+      : this.root.contains(focused);
+    if (!ours) return;
+    if (!idle && focused.closest("input, select, textarea")) return;
+
+    const key = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    const direction = this.KEYS[key];
+    if (!direction) return;
+
+    e.preventDefault();
+    this.move(direction);
+  }
+
+  /**
+   * Start a new game
+   */
+  newGame() {
+    this.play.start(SeededRandom.generateSeed());
+    this.hideMessage();
+    this.updateScore();
+    this.saveGame();
+  }
+
+  /**
+   * Continue a validated saved game
+   * @param {Object} saved - Output of loadGame()
+   */
+  resume(saved) {
+    // Finished games aren't saved, and one saved on the win message carries
+    // on past it
+    this.play.restore({ ...saved, over: false });
+    this.hideMessage();
+    this.updateScore();
+  }
+
+  /**
+   * Move the tiles
+   * @param {string} direction - "up", "down", "left" or "right"
+   * @returns {boolean} - Whether any tile moved
+   */
+  move(direction) {
+    const wasWon = this.play.won;
+    const result = this.play.move(direction);
+    if (!result || !result.moved) return false;
+
+    const { score } = this.engine;
+    if (result.scoreGained > 0) {
+      if (score === this.best) this.saveBest();
+      this.updateScore();
+    }
+
+    if (this.play.won && !wasWon && !result.over) {
+      this.showMessage("You win!", true);
+    }
+
+    if (result.over) {
+      this.showMessage("Game over!", false);
+      this.clearGame();
+    } else {
+      this.saveGame();
+    }
+
+    // Security: Use textContent for safe DOM updates
+    this.statusElement.textContent = `Moved ${direction}. Score ${score}.`;
+    return true;
+  }
+
+  /**
+   * Play on past the winning tile
+   */
+  continuePlaying() {
+    this.play.continuePlaying();
+    this.hideMessage();
+    this.saveGame();
+    this.gridElement.focus();
+  }
+
+  /**
+   * @param {string} title
+   * @param {boolean} canContinue - Offer "Keep Going" as well as "Try Again"
+   */
+  showMessage(title, canContinue) {
+    // Security: Use textContent for safe DOM updates
+    this.messageTitle.textContent = title;
+    this.keepGoingButton.hidden = !canContinue;
+    this.messageElement.classList.add(canContinue ? "game-won" : "game-over");
+    (canContinue ? this.keepGoingButton : this.retryButton).focus();
+  }
+
+  hideMessage() {
+    this.messageElement.classList.remove("game-won", "game-over");
+  }
+
+  updateScore() {
+    // Security: Use textContent for safe DOM updates
+    this.scoreElement.textContent = this.engine.score;
+    this.bestElement.textContent = this.best;
+  }
+
+  /**
+   * @returns {number} - Stored best score, or 0 if missing or invalid
+   */
+  loadBest() {
+    try {
+      const value = parseInt(localStorage.getItem(this.key("best")), 10);
+      return Number.isInteger(value) && value >= 0 ? value : 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  saveBest() {
+    try {
+      localStorage.setItem(this.key("best"), String(this.best));
+    } catch (e) {
+      console.warn("Unable to save 2048 widget best score:", e);
+    }
+  }
+
+  /**
+   * Validates the saved game for this widget's size and difficulty
+   * Security: Reject malformed or tampered saves so they can't corrupt the
+   * board; tiles must be powers of two and blockers empty cells on the board
+   * @returns {Object|null} - {seed, rngState, grid, blockers, score, won},
+   *   or null
+   */
+  loadGame() {
+    let data;
+    try {
+      data = JSON.parse(localStorage.getItem(this.key("game")));
+    } catch (e) {
+      return null;
+    }
+    if (!data || typeof data !== "object") return null;
+    if (data.version !== this.SAVE_VERSION) return null;
+
+    const isTile = (value) =>
+      value === 0 ||
+      (Number.isInteger(value) && value >= 2 && (value & (value - 1)) === 0);
+    const { seed, rngState, grid, blockers, score, won } = data;
+    if (typeof seed !== "string" || !/^[A-Z0-9]{1,16}$/.test(seed)) {
+      return null;
+    }
+    if (!Number.isInteger(rngState) || rngState < 0 || rngState > 0xffffffff) {
+      return null;
+    }
+    if (!Array.isArray(grid) || grid.length !== this.size) return null;
+    const validGrid = grid.every(
+      (row) =>
+        Array.isArray(row) && row.length === this.size && row.every(isTile)
+    );
+    if (!validGrid) return null;
+
+    if (!Array.isArray(blockers) || blockers.length > this.size - 2) {
+      return null;
+    }
+    const inRange = (index) =>
+      Number.isInteger(index) && index >= 0 && index < this.size;
+    const validBlockers = blockers.every(
+      (cell) =>
+        Array.isArray(cell) &&
+        cell.length === 2 &&
+        inRange(cell[0]) &&
+        inRange(cell[1]) &&
+        grid[cell[0]][cell[1]] === 0
+    );
+    if (!validBlockers) return null;
+
+    if (!Number.isInteger(score) || score < 0) return null;
+    if (typeof won !== "boolean") return null;
+    return { seed, rngState, grid, blockers, score, won };
+  }
+
+  saveGame() {
+    const data = {
+      version: this.SAVE_VERSION,
+      seed: this.play.seed,
+      ...this.play.getSnapshot(),
+      won: this.play.won,
+    };
+    try {
+      localStorage.setItem(this.key("game"), JSON.stringify(data));
+    } catch (e) {
+      console.warn("Unable to save 2048 widget game:", e);
+    }
+  }
+
+  clearGame() {
+    try {
+      localStorage.removeItem(this.key("game"));
+    } catch (e) {
+      console.warn("Unable to clear 2048 widget game:", e);
+    }
+  }
+
+  /**
+   * Remove the widget's markup and every listener it added, including the
+   * document keydown handler; the saved game and best score are kept
+   */
+  destroy() {
+    document.removeEventListener("keydown", this.handleKeydown);
+    this.root.removeEventListener("pointerdown", this.handleActivate);
+    this.root.removeEventListener("focusin", this.handleActivate);
+    this.newGameButton.removeEventListener("click", this.handleNewGame);
+    this.retryButton.removeEventListener("click", this.handleNewGame);
+    this.keepGoingButton.removeEventListener("click", this.handleKeepGoing);
+    this.swipe.destroy();
+    this.play.clearListeners();
+    if (Game2048Widget.active === this) Game2048Widget.active = null;
+    this.root.remove();
+  }
+}
+
+// The widget that takes keys while nothing on the page has focus
+Game2048Widget.active = null;
+
+/**
+ * Mount a 2048 game in an element
+ * @param {HTMLElement} element
+ * @param {Object} [options] - See Game2048Widget
+ * @returns {Game2048Widget}
+ */
+function create2048(element, options) {
+  return new Game2048Widget(element, options);
+}
@@ -0,0 +1,125 @@
+/**
+ * 2048 Service Worker
+ * Caches the whole game on first visit so it installs as an app and loads
+ * with no network at all. Files are served from the cache of the current
+ * CACHE_VERSION; bump it whenever any file below changes, and the new
+ * version is downloaded in the background and offered in-game as an update.
+ */
+
+const CACHE_VERSION = 5;
+const CACHE_PREFIX = "2048-";
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Everything the game needs to start offline, relative to this file
+const PRECACHE_URLS = [
+  "./",
+  "index.html",
+  "embed.html",
+  "manifest.webmanifest",
+  "css/style.css",
+  "js/random.js",
+  "js/engine.js",
+  "js/difficulty.js",
+  "js/history.js",
+  "js/replay.js",
+  "js/replay-viewer.js",
+  "js/solver.js",
+  "js/solver-worker.js",
+  "js/solver-client.js",
+  "js/leaderboard.js",
+  "js/mode-records.js",
+  "js/daily.js",
+  "js/stats.js",
+  "js/charts.js",
+  "js/controls.js",
+  "js/gamepad.js",
+  "js/swipe.js",
+  "js/rewards.js",
+  "js/clue-progress.js",
+  "js/board-view.js",
+  "js/board-game.js",
+  "js/race.js",
+  "js/signalling.js",
+  "js/versus.js",
+  "js/app-update.js",
+  "js/widget.js",
+  "js/game.js",
+  "assets/icon.svg",
+  "assets/icon-192.png",
+  "assets/icon-512.png",
+  "assets/icon-maskable-192.png",
+  "assets/icon-maskable-512.png",
+  "assets/rewards.json",
+  "assets/progress-bar-beginner.png",
+  "assets/progress-bar-easy.png",
+  "assets/progress-bar-medium.png",
+  "assets/progress-bar-hard.png",
+];
+
+self.addEventListener("install", (event) => {
+  // Skip the HTTP cache so a new version never stores stale copies
+  const requests = PRECACHE_URLS.map(
+    (url) => new Request(url, { cache: "reload" })
+  );
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) => cache.addAll(requests))
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter((name) => name.startsWith(CACHE_PREFIX))
+            .filter((name) => name !== CACHE_NAME)
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting version to take over once the player agrees
+self.addEventListener("message", (event) => {
+  if (event.data && event.data.type === "skip-waiting") {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // Leave other origins and anything but reads to the network
+  if (request.method !== "GET" || url.origin !== self.location.origin) {
+    return;
+  }
+
+  // Seed and difficulty links all open the cached page
+  const ignoreSearch = request.mode === "navigate";
+
+  event.respondWith(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.match(request, { ignoreSearch }).then((cached) => {
+        if (cached) return cached;
+
+        // Files outside the list, such as custom reward images, are kept
+        // after their first load so they work offline too. Only complete
+        // same-origin responses: not partial content, redirects or errors
+        return fetch(request).then((response) => {
+          if (response.status === 200 && response.type === "basic") {
+            event.waitUntil(
+              cache.put(request, response.clone()).catch((e) => {
+                console.warn("Unable to cache", request.url, e);
+              })
+            );
+          }
+          return response;
+        });
+      })
+    )
+  );
+});
@@ -0,0 +1,86 @@
+/**
+ * BoardGame win and undo handling, run headless in Node: node --test tests/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Browsers load these as earlier scripts; BoardGame finds them as globals
+global.GameEngine = require("../js/engine.js");
+global.SeededRandom = require("../js/random.js");
+const DifficultyRules = require("../js/difficulty.js");
+const BoardGame = require("../js/board-game.js");
+
+// Stands in for BoardView; nothing is drawn in Node
+const view = { build() {}, render() {} };
+
+/**
+ * Beginner game one merge away from its 256 win tile
+ * @returns {{play: BoardGame, before: Object}} - Game and its snapshot
+ */
+function nearWin() {
+  const play = new BoardGame({ view, rules: DifficultyRules.get("beginner") });
+  play.start("UNDOWIN");
+  play.engine.setState({
+    grid: [
+      [128, 128, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 2],
+    ],
+    blockers: [],
+    score: 0,
+  });
+  return { play, before: play.getSnapshot() };
+}
+
+test("the board waits after the win until the player plays on", () => {
+  const { play } = nearWin();
+  const wins = [];
+  play.on("win", (detail) => wins.push(detail));
+
+  play.move("left");
+
+  assert.equal(play.won, true);
+  assert.equal(wins.length, 1);
+  assert.equal(play.move("right"), null);
+  play.continuePlaying();
+  assert.notEqual(play.move("right"), null);
+});
+
+test("undo right after the win takes it back and the board plays on", () => {
+  const { play, before } = nearWin();
+  play.move("left");
+
+  play.applySnapshot(before);
+
+  assert.equal(play.won, false);
+  assert.equal(play.canMove(), true);
+  const result = play.move("down");
+  assert.equal(result.moved, true);
+});
+
+test("redoing the winning move wins again", () => {
+  const { play, before } = nearWin();
+  play.move("left");
+  const after = play.getSnapshot();
+  play.applySnapshot(before);
+
+  play.applySnapshot(after);
+
+  assert.equal(play.won, true);
+  assert.equal(play.canMove(), false);
+});
+
+test("undo after playing on past the win keeps playing", () => {
+  const { play } = nearWin();
+  play.move("left");
+  play.continuePlaying();
+  const won = play.getSnapshot();
+  play.move("down");
+
+  play.applySnapshot(won);
+
+  assert.equal(play.won, true);
+  assert.equal(play.canMove(), true);
+});
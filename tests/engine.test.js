@@ -0,0 +1,144 @@
+/**
+ * GameEngine rules, run headless in Node: node --test tests/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const GameEngine = require("../js/engine.js");
+
+/**
+ * Engine on a fixed board; spawns always go to the first empty cell as a 2
+ * @param {number[][]} grid
+ * @param {Object} [rules]
+ * @returns {GameEngine}
+ */
+function engineWith(grid, rules = {}) {
+  const engine = new GameEngine({ size: grid.length, random: () => 0, rules });
+  engine.setState({ grid, blockers: [], score: 0 });
+  return engine;
+}
+
+test("move slides tiles towards the edge and reports each slide", () => {
+  const engine = engineWith([
+    [0, 0, 0, 2],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ]);
+  const [id] = engine.getTiles().map((tile) => tile.id);
+
+  const result = engine.move("left");
+
+  assert.equal(result.moved, true);
+  assert.equal(result.scoreGained, 0);
+  assert.deepEqual(result.slides, [
+    { id, value: 2, from: { r: 0, c: 3 }, to: { r: 0, c: 0 } },
+  ]);
+  assert.deepEqual(result.merges, []);
+  assert.deepEqual(result.spawned, {
+    id: result.spawned.id,
+    r: 0,
+    c: 1,
+    value: 2,
+  });
+  assert.deepEqual(engine.grid[0], [2, 2, 0, 0]);
+});
+
+test("move merges each pair once and scores the merged value", () => {
+  const engine = engineWith([
+    [2, 2, 2, 2],
+    [4, 4, 8, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ]);
+
+  const result = engine.move("left");
+
+  // The spawned 2 lands in the first empty cell
+  assert.deepEqual(engine.grid[0], [4, 4, 2, 0]);
+  assert.deepEqual(engine.grid[1], [8, 8, 0, 0]);
+  assert.equal(result.scoreGained, 4 + 4 + 8);
+  assert.equal(engine.score, 16);
+  assert.deepEqual(
+    result.merges.map(({ value, r, c }) => ({ value, r, c })),
+    [
+      { value: 4, r: 0, c: 0 },
+      { value: 4, r: 0, c: 1 },
+      { value: 8, r: 1, c: 0 },
+    ]
+  );
+  result.merges.forEach((merge) => assert.equal(merge.sources.length, 2));
+});
+
+test("a move that changes nothing spawns nothing", () => {
+  const engine = engineWith([
+    [2, 4, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+    [0, 0, 0, 0],
+  ]);
+
+  const result = engine.move("left");
+
+  assert.equal(result.moved, false);
+  assert.equal(result.spawned, null);
+  assert.equal(engine.getTiles().length, 2);
+});
+
+test("blocked cells split a line", () => {
+  const engine = new GameEngine({ size: 4, random: () => 0 });
+  engine.setState({
+    grid: [
+      [2, 0, 0, 2],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+    ],
+    blockers: [[0, 1]],
+    score: 0,
+  });
+
+  engine.move("left");
+
+  // The right-hand 2 stops at the blocker, then a 2 spawns behind it
+  assert.deepEqual(engine.grid[0], [2, 0, 2, 2]);
+});
+
+test("move reports the win once the rules' win tile is made", () => {
+  const engine = engineWith(
+    [
+      [64, 64, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+      [0, 0, 0, 0],
+    ],
+    { winTile: 128 }
+  );
+
+  assert.equal(engine.hasWon(), false);
+  const result = engine.move("left");
+
+  assert.equal(result.won, true);
+  assert.equal(result.over, false);
+});
+
+test("move reports game over when the board fills with no merges left", () => {
+  const engine = engineWith([
+    [2, 4, 2, 4],
+    [4, 2, 4, 2],
+    [2, 4, 2, 4],
+    [8, 16, 8, 0],
+  ]);
+  // Spawn a 4 so the last row can't merge with the row above
+  engine.random = (() => {
+    const rolls = [0, 0.95];
+    return () => rolls.shift();
+  })();
+
+  const result = engine.move("right");
+
+  assert.equal(result.moved, true);
+  assert.deepEqual(engine.grid[3], [4, 8, 16, 8]);
+  assert.equal(result.over, true);
+  assert.equal(engine.isGameOver(), true);
+});
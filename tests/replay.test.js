@@ -0,0 +1,99 @@
+/**
+ * Replays, run headless in Node: node --test tests/
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const GameEngine = require("../js/engine.js");
+const SeededRandom = require("../js/random.js");
+const DifficultyRules = require("../js/difficulty.js");
+const Replay = require("../js/replay.js");
+
+/**
+ * Play a seeded game the way the browser does and record it
+ * @param {string} seed
+ * @param {number} turns - Directions tried; only moves that change the board
+ *   are recorded
+ * @returns {{replay: Replay, final: Object}}
+ */
+function playGame(seed, turns) {
+  const rules = DifficultyRules.get("easy");
+  const rng = new SeededRandom(seed);
+  const engine = new GameEngine({ size: 4, rules, random: () => rng.next() });
+  engine.start();
+  const start = { ...engine.getState(), rngState: rng.getState() };
+
+  const moves = [];
+  const directions = ["left", "up", "right", "down"];
+  for (let i = 0; i < turns && !engine.isGameOver(); i++) {
+    const direction = directions[i % directions.length];
+    if (engine.move(direction).moved) moves.push(direction);
+  }
+
+  const replay = new Replay({
+    seed,
+    size: 4,
+    difficulty: "easy",
+    rules,
+    start,
+    moves,
+  });
+  return {
+    replay,
+    final: { ...engine.getState(), rngState: rng.getState() },
+  };
+}
+
+test("buildFrames replays a game to the board it ended on", () => {
+  const { replay, final } = playGame("REPLAY1", 60);
+
+  const frames = replay.buildFrames();
+
+  assert.equal(frames.length, replay.moves.length + 1);
+  assert.deepEqual(frames[0], replay.start);
+  assert.deepEqual(frames[frames.length - 1], final);
+});
+
+test("a replay survives the JSON file format", () => {
+  const { replay } = playGame("REPLAY2", 40);
+
+  const data = JSON.parse(JSON.stringify(replay));
+  assert.equal(data.format, "2048-replay");
+  const copy = new Replay({
+    ...data,
+    rules: DifficultyRules.get(data.difficulty),
+    moves: Replay.decodeMoves(data.moves),
+  });
+
+  assert.deepEqual(copy.moves, replay.moves);
+  assert.deepEqual(copy.buildFrames(), replay.buildFrames());
+});
+
+test("decodeMoves rejects anything but direction letters", () => {
+  assert.deepEqual(Replay.decodeMoves("LURD"), ["left", "up", "right", "down"]);
+  assert.equal(Replay.decodeMoves("LX"), null);
+  assert.equal(Replay.decodeMoves(3), null);
+});
+
+test("buildFrames fails a log with a move that changes nothing", () => {
+  const replay = new Replay({
+    seed: "REPLAY3",
+    size: 4,
+    difficulty: "easy",
+    rules: DifficultyRules.get("easy"),
+    start: {
+      grid: [
+        [2, 0, 0, 0],
+        [4, 0, 0, 0],
+        [0, 0, 0, 0],
+        [0, 0, 0, 0],
+      ],
+      blockers: [],
+      score: 0,
+      rngState: 1,
+    },
+    moves: ["left"],
+  });
+
+  assert.equal(replay.buildFrames(), null);
+});
@@ -0,0 +1,196 @@
+/**
+ * 2048 Versus Signalling Server
+ * A tiny WebSocket relay for trying versus mode locally, with no
+ * dependencies beyond Node itself. Two browsers join the same room and
+ * each one's messages are passed to the other; a message sent before the
+ * second player arrives is held and delivered when they join.
+ *
+ * Usage: node tools/signalling-server.js [port]
+ * Listens on 127.0.0.1 only; it is a test tool, not a public service.
+ */
+
+const http = require("http");
+const crypto = require("crypto");
+
+const PORT = parseInt(process.argv[2], 10) || 8787;
+const HOST = "127.0.0.1";
+const MAX_FRAME_LENGTH = 64 * 1024;
+const MAX_ROOM_SIZE = 2;
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Room name -> {peers: Set<net.Socket>, pending: Object[]}
+const rooms = new Map();
+
+/**
+ * Encode a server-to-client frame (never masked)
+ * @param {number} opcode - 0x1 text, 0x8 close, 0xA pong
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode one client frame from the start of a buffer
+ * Security: Clients must mask their frames, and frames over 64KB are refused
+ * @param {Buffer} buffer
+ * @returns {{opcode: number, payload: Buffer, length: number}|null|false} -
+ *   The frame, null if more bytes are needed, or false if it is invalid
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (!masked) return false;
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    return false;
+  }
+  if (length > MAX_FRAME_LENGTH) return false;
+  if (buffer.length < offset + 4 + length) return null;
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    payload[i] = buffer[offset + 4 + i] ^ mask[i % 4];
+  }
+  return { opcode, payload, length: offset + 4 + length };
+}
+
+/**
+ * @param {net.Socket} socket
+ * @param {Object} message
+ */
+function sendJSON(socket, message) {
+  if (socket.writable) {
+    socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+  }
+}
+
+/**
+ * @param {net.Socket} socket
+ */
+function leaveRoom(socket) {
+  const name = socket.room;
+  const room = name && rooms.get(name);
+  if (!room) return;
+
+  room.peers.delete(socket);
+  if (room.peers.size === 0) rooms.delete(name);
+}
+
+/**
+ * Handle a {type: "join", room} or {type: "signal", data} message
+ * Security: Room names are short word characters, and each room holds two
+ * players at most
+ * @param {net.Socket} socket
+ * @param {string} text
+ */
+function handleMessage(socket, text) {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch (e) {
+    return;
+  }
+  if (!message || typeof message !== "object") return;
+
+  if (message.type === "join") {
+    const name = message.room;
+    if (typeof name !== "string" || !/^[\w-]{1,32}$/.test(name)) {
+      sendJSON(socket, { type: "error", message: "Invalid room name" });
+      return;
+    }
+    if (socket.room) return;
+
+    const room = rooms.get(name) || { peers: new Set(), pending: [] };
+    if (room.peers.size >= MAX_ROOM_SIZE) {
+      sendJSON(socket, { type: "error", message: "Room is full" });
+      return;
+    }
+    room.peers.add(socket);
+    rooms.set(name, room);
+    socket.room = name;
+
+    // Hand over what the first player sent while waiting
+    room.pending.forEach((data) => sendJSON(socket, { type: "signal", data }));
+    room.pending = [];
+    return;
+  }
+
+  if (message.type === "signal" && socket.room) {
+    const room = rooms.get(socket.room);
+    const others = [...room.peers].filter((peer) => peer !== socket);
+    if (others.length === 0) {
+      room.pending.push(message.data);
+    }
+    others.forEach((peer) => {
+      sendJSON(peer, { type: "signal", data: message.data });
+    });
+  }
+}
+
+const server = http.createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain" });
+  response.end("2048 versus signalling server: connect over WebSocket.\n");
+});
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"];
+  if (request.headers.upgrade.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return;
+  }
+
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WEBSOCKET_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+
+  let buffer = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let frame;
+    while ((frame = decodeFrame(buffer))) {
+      buffer = buffer.subarray(frame.length);
+      if (frame.opcode === 0x1) {
+        handleMessage(socket, frame.payload.toString("utf8"));
+      } else if (frame.opcode === 0x8) {
+        socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        return;
+      } else if (frame.opcode === 0x9) {
+        socket.write(encodeFrame(0xa, frame.payload));
+      }
+    }
+    if (frame === false) socket.destroy();
+  });
+  socket.on("close", () => leaveRoom(socket));
+  socket.on("error", () => leaveRoom(socket));
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Signalling server listening on ws://localhost:${PORT}`);
+});